@@ -0,0 +1,7 @@
+#!/usr/bin/env node
+
+const cli = require('../src/cli');
+
+cli.run(process.argv.slice(2)).then(code => {
+	process.exitCode = code;
+});
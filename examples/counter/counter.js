@@ -9,61 +9,27 @@
  */
 
 const storage = require('../../src/node-persist');
+const {resolveType} = require('../../src/utils');
 const http = require('http');
 
 const ttl = 3000;
 const host = '127.0.0.1';
 const port = 8080;
 
-const resolveType = function (str) {
-	let type = typeof str;
-	if (type !== 'string') {
-		return str;
-	} else {
-		let nb = parseFloat(str);
-		if (!isNaN(parseFloat(str)) && isFinite(str))
-			return nb;
-		if (str === 'false')
-			return false;
-		if (str === 'true')
-			return true;
-		if (str === 'undefined')
-			return undefined;
-		if (str === 'null')
-			return null;
-		try {
-			str = JSON.parse(str);
-		} catch (e) {
-		}
-		return str;
-	}
-};
-
 (async () => {
 	await storage.init({logging: true, ttl: ttl});
 
-	let counter = await storage.getItem('counter');
-
-	if (! counter) {
-		await storage.setItem('counter', 0);
-	}
-	counter = await storage.getItem('counter');
+	let counter = await storage.setIfAbsent('counter', 0) ? 0 : await storage.getItem('counter');
 	console.log('counter is ' + counter);
 
 
 	http.createServer(async function (req, res) {
 		res.writeHead(200, {'Content-Type': 'text/plain'});
 		if (req.url === '/') {
-			let c = await storage.getItem('counter');
-
-			if (!c) {
-				console.log('counter ttl expired, resetting to 0');
-				c = 0;
-				await storage.setItem('counter', 0);
-			}
-			await storage.setItem('counter', c + 1);
+			// incr() is atomic, so concurrent requests never lose an increment, an expired counter starts back at 0
+			let c = await storage.incr('counter', 1, {ttl: ttl});
 
-			res.end("counter is: " + (await storage.getItem('counter')) + ' (every time you refresh you reset the ttl timer, but just wait ' + ttl / 1000 + ' seconds, it should reset back to 1)');
+			res.end("counter is: " + c + ' (every time you refresh you reset the ttl timer, but just wait ' + ttl / 1000 + ' seconds, it should reset back to 1)');
 
 		}
 		if (/\/\w+/.test(req.url)) { // secret paths
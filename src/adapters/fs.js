@@ -0,0 +1,183 @@
+/*
+ * The default adapter, stores every file on the file system
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const {promisify} = require('util');
+const {isProcessAlive} = require('../utils');
+
+const fsOpen = promisify(fs.open);
+const fsWriteFile = promisify(fs.writeFile);
+const fsReadFile = promisify(fs.readFile);
+const fsFsync = promisify(fs.fsync);
+const fsFstat = promisify(fs.fstat);
+const fsStat = promisify(fs.stat);
+const fsClose = promisify(fs.close);
+const fsRename = promisify(fs.rename);
+const fsUnlink = promisify(fs.unlink);
+const fsReaddir = promisify(fs.readdir);
+const fsMkdir = promisify(fs.mkdir);
+const fsRmdir = promisify(fs.rmdir);
+
+/* writes go to a temp file first, named after the target so leftovers from a crashed process can be found by recover() */
+const tempFileRegex = /^\.(.+)\.(\d+)\.([0-9a-f]+)\.tmp$/;
+
+/* temp files this process is currently writing, so a concurrent recover() on the same dir leaves them alone */
+const pendingTempFiles = new Set();
+
+const tempFilePath = function (file, dir = path.dirname(file)) {
+	return path.join(dir, `.${path.basename(file)}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`);
+};
+
+const FileSystemAdapter = function () {
+	if(!(this instanceof FileSystemAdapter)) {
+		return new FileSystemAdapter();
+	}
+};
+
+FileSystemAdapter.prototype = {
+
+	ensureDirectory: async function (dir) {
+		try {
+			await fsMkdir(dir);
+			return {dir: dir, created: true};
+		} catch (err) {
+			if (err.code === 'EEXIST') {
+				return {dir: dir, created: false};
+			}
+			if (err.code !== 'ENOENT') {
+				throw err;
+			}
+		}
+		await fsMkdir(dir, {recursive: true});
+		return {dir: dir, created: true};
+	},
+
+	readDirectory: async function (dir) {
+		let entries = await fsReaddir(dir, {withFileTypes: true});
+		return entries.map(entry => ({name: entry.name, directory: entry.isDirectory()}));
+	},
+
+	readFile: function (file) {
+		return fsReadFile(file);
+	},
+
+	/*
+	 * the data lands in a temp file that's fsync'ed then renamed over the file, so a crash mid-write never leaves half of it behind.
+	 * The temp file is next to the file, or in options.tempDir, which must be on the same file system
+	 */
+	writeFile: async function (file, data, options = {}) {
+		let tmpFile = tempFilePath(file, options.tempDir);
+		let fd, stats;
+		pendingTempFiles.add(tmpFile);
+		try {
+			fd = await fsOpen(tmpFile, 'w');
+			await fsWriteFile(fd, data);
+			await fsFsync(fd);
+			stats = await fsFstat(fd);
+			await fsClose(fd);
+			fd = null;
+			await fsRename(tmpFile, file);
+		} catch (err) {
+			if (fd != null) {
+				await fsClose(fd).catch(() => {});
+			}
+			await fsUnlink(tmpFile).catch(() => {});
+			throw err;
+		} finally {
+			pendingTempFiles.delete(tmpFile);
+		}
+		await this.syncDirectory(path.dirname(file));
+		return {file: file, size: stats.size, mtime: stats.mtimeMs};
+	},
+
+	deleteFile: async function (file) {
+		try {
+			await fsUnlink(file);
+			return {file: file, removed: true, existed: true};
+		} catch (err) {
+			if (err.code === 'ENOENT') {
+				return {file: file, removed: false, existed: false};
+			}
+			throw err;
+		}
+	},
+
+	rename: async function (from, to) {
+		await fsRename(from, to);
+		await this.syncDirectory(path.dirname(to));
+		if (path.dirname(from) !== path.dirname(to)) {
+			await this.syncDirectory(path.dirname(from));
+		}
+		return {from: from, to: to};
+	},
+
+	/* removes dir if it's empty, resolves with whether it did */
+	deleteDirectory: async function (dir) {
+		try {
+			await fsRmdir(dir);
+			return {dir: dir, removed: true};
+		} catch (err) {
+			if (err.code === 'ENOENT' || err.code === 'ENOTEMPTY' || err.code === 'EEXIST') {
+				return {dir: dir, removed: false};
+			}
+			throw err;
+		}
+	},
+
+	/* listener gets the name of the files changed in dir, the watcher doesn't keep the process running */
+	watch: function (dir, listener) {
+		let watcher = fs.watch(dir, {persistent: false}, (eventType, name) => listener(name && name.toString()));
+		// i.e. dir got removed, there's nothing left to watch
+		watcher.on('error', () => watcher.close());
+		return {close: () => watcher.close()};
+	},
+
+	stat: async function (file) {
+		let stats = await fsStat(file);
+		return {size: stats.size, mtime: stats.mtimeMs, directory: stats.isDirectory()};
+	},
+
+	/*
+	 * fsync the directory so the rename itself survives a power loss,
+	 * not every platform lets you open a directory, so this is best effort
+	 */
+	syncDirectory: async function (dir) {
+		let fd;
+		try {
+			fd = await fsOpen(dir, 'r');
+			await fsFsync(fd);
+		} catch (err) {
+			// nothing to do about it
+		} finally {
+			if (fd != null) {
+				await fsClose(fd).catch(() => {});
+			}
+		}
+	},
+
+	/* clean up the temp files left behind by writes that were interrupted, i.e. the process crashed mid-write */
+	recover: async function (dir) {
+		let removed = [];
+		for (let currentFile of await fsReaddir(dir)) {
+			let match = tempFileRegex.exec(currentFile);
+			if (!match) {
+				continue;
+			}
+			let file = path.join(dir, currentFile);
+			let pid = parseInt(match[2], 10);
+			if (pendingTempFiles.has(file) || (pid !== process.pid && isProcessAlive(pid))) {
+				continue;
+			}
+			let result = await this.deleteFile(file);
+			if (result.removed) {
+				removed.push(file);
+			}
+		}
+		return removed;
+	}
+};
+
+module.exports = FileSystemAdapter;
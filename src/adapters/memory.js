@@ -0,0 +1,132 @@
+/*
+ * Keeps every file in memory, nothing ever touches the disk, i.e. for unit tests.
+ * Instances sharing the same adapter also share the same files.
+ */
+
+const path = require('path');
+
+const notFound = function (file) {
+	let err = new Error(`ENOENT: no such file or directory, '${file}'`);
+	err.code = 'ENOENT';
+	return err;
+};
+
+const MemoryAdapter = function () {
+	if(!(this instanceof MemoryAdapter)) {
+		return new MemoryAdapter();
+	}
+	/* path -> {data, mtime} */
+	this.files = new Map();
+	this.directories = new Set();
+	/* dir -> Set of listeners, see watch() */
+	this.watchers = new Map();
+};
+
+MemoryAdapter.prototype = {
+
+	ensureDirectory: async function (dir) {
+		if (this.directories.has(dir)) {
+			return {dir: dir, created: false};
+		}
+		for (let current = dir; !this.directories.has(current); current = path.dirname(current)) {
+			this.directories.add(current);
+			if (path.dirname(current) === current) {
+				break;
+			}
+		}
+		return {dir: dir, created: true};
+	},
+
+	readDirectory: async function (dir) {
+		if (!this.directories.has(dir)) {
+			throw notFound(dir);
+		}
+		let entries = [];
+		for (let directory of this.directories) {
+			if (directory !== dir && path.dirname(directory) === dir) {
+				entries.push({name: path.basename(directory), directory: true});
+			}
+		}
+		for (let file of this.files.keys()) {
+			if (path.dirname(file) === dir) {
+				entries.push({name: path.basename(file), directory: false});
+			}
+		}
+		return entries;
+	},
+
+	readFile: async function (file) {
+		let entry = this.files.get(file);
+		if (!entry) {
+			throw notFound(file);
+		}
+		return Buffer.from(entry.data);
+	},
+
+	writeFile: async function (file, data) {
+		if (!this.directories.has(path.dirname(file))) {
+			throw notFound(file);
+		}
+		let entry = {data: Buffer.from(data), mtime: Date.now()};
+		this.files.set(file, entry);
+		this._notify(file);
+		return {file: file, size: entry.data.length, mtime: entry.mtime};
+	},
+
+	deleteFile: async function (file) {
+		let existed = this.files.delete(file);
+		existed && this._notify(file);
+		return {file: file, removed: existed, existed: existed};
+	},
+
+	rename: async function (from, to) {
+		let entry = this.files.get(from);
+		if (!entry) {
+			throw notFound(from);
+		}
+		if (!this.directories.has(path.dirname(to))) {
+			throw notFound(to);
+		}
+		this.files.delete(from);
+		this.files.set(to, entry);
+		this._notify(from);
+		this._notify(to);
+		return {from: from, to: to};
+	},
+
+	deleteDirectory: async function (dir) {
+		let empty = this.directories.has(dir) && !Array.from(this.files.keys()).some(file => path.dirname(file) === dir)
+			&& !Array.from(this.directories).some(directory => directory !== dir && path.dirname(directory) === dir);
+		empty && this.directories.delete(dir);
+		return {dir: dir, removed: empty};
+	},
+
+	watch: function (dir, listener) {
+		if (!this.watchers.has(dir)) {
+			this.watchers.set(dir, new Set());
+		}
+		this.watchers.get(dir).add(listener);
+		return {close: () => this.watchers.get(dir).delete(listener)};
+	},
+
+	_notify: function (file) {
+		let listeners = this.watchers.get(path.dirname(file));
+		if (listeners) {
+			let name = path.basename(file);
+			listeners.forEach(listener => setImmediate(listener, name));
+		}
+	},
+
+	stat: async function (file) {
+		let entry = this.files.get(file);
+		if (entry) {
+			return {size: entry.data.length, mtime: entry.mtime, directory: false};
+		}
+		if (this.directories.has(file)) {
+			return {size: 0, mtime: 0, directory: true};
+		}
+		throw notFound(file);
+	}
+};
+
+module.exports = MemoryAdapter;
@@ -0,0 +1,233 @@
+/*
+ * The node-persist command, to look into and fix a storage directory without knowing the md5 file names
+ */
+
+const fs = require('fs');
+const path = require('path');
+const nodePersist = require('./node-persist');
+const {resolveType} = require('./utils');
+
+const usage = `Usage: node-persist [options] <command> [args]
+
+Commands:
+  ls [--prefix <prefix>]        lists the keys that are not expired
+  get <key>                     prints the value of key
+  set <key> <json> [--ttl <ms>] sets key to a value, a number, true, null etc. or JSON, anything else is a string
+  rm <key>                      removes key
+  clear                         removes every item
+  prune                         removes the expired items
+  stats                         prints the number of items, expired items and bytes used
+  dump                          prints every item that is not expired, one JSON per line, see exportTo()
+  verify                        lists the files that can't be used, exits with 1 if there's any
+  repair [--quarantine <dir>]   moves the files that can't be used to <dir>, .quarantine in the storage directory by default
+
+Options:
+  --dir <dir>                   the storage directory, .node-persist/storage by default
+  --namespace <name>            works on that namespace of the storage
+  --compression <gzip|brotli>   compresses what it writes
+  --serializer <json|structured> the serializer of the storage, the one its manifest says by default
+  --history                     keeps the history of what it changes
+  --help                        prints this
+
+The encryption key, if any, is read from the NODE_PERSIST_ENCRYPTION_KEY environment variable,
+and its algorithm from NODE_PERSIST_ENCRYPTION_ALGORITHM.
+`;
+
+/* the options taking a value, the others are flags */
+const valueOptions = ['dir', 'namespace', 'prefix', 'ttl', 'compression', 'serializer', 'quarantine'];
+
+const parseArgs = function (argv) {
+	let args = {_: []};
+	for (let i = 0; i < argv.length; i++) {
+		let arg = argv[i];
+		let match = /^--([^=]+)(?:=(.*))?$/.exec(arg);
+		if (!match) {
+			args._.push(arg);
+			continue;
+		}
+		let name = match[1];
+		if (valueOptions.indexOf(name) === -1) {
+			args[name] = true;
+		} else if (match[2] != null) {
+			args[name] = match[2];
+		} else if (i + 1 < argv.length) {
+			args[name] = argv[++i];
+		} else {
+			throw new Error(`[node-persist][cli] --${name} needs a value!`);
+		}
+	}
+	return args;
+};
+
+/* the manifest of dir, to open it the way it was written, an empty one if there's none */
+const readManifest = function (dir) {
+	try {
+		return JSON.parse(fs.readFileSync(path.join(dir, '.node-persist-manifest.json'), 'utf8')) || {};
+	} catch (err) {
+		return {};
+	}
+};
+
+const storageOptions = function (args, env) {
+	let dir = args.dir || path.join('.node-persist', 'storage');
+	let manifest = readManifest(path.resolve(dir));
+	let options = {
+		dir: dir,
+		// the serializer if it's a built-in one, and the shardDepth, so the files aren't moved around
+		serializer: args.serializer || (manifest.serializer === 'structured' ? 'structured' : 'json'),
+		shardDepth: Number.isInteger(manifest.shardDepth) ? manifest.shardDepth : 0,
+		/* a one-off command shouldn't keep the process alive, nor race another process' clean-up */
+		expiredInterval: false,
+		watch: false,
+		compression: args.compression || false,
+		history: !!args.history
+	};
+	if (env.NODE_PERSIST_ENCRYPTION_KEY) {
+		options.encryption = {key: env.NODE_PERSIST_ENCRYPTION_KEY, algorithm: env.NODE_PERSIST_ENCRYPTION_ALGORITHM};
+	}
+	return options;
+};
+
+const isLive = function (datum) {
+	return !datum.ttl || datum.ttl >= Date.now();
+};
+
+const stats = async function (storage) {
+	let result = {dir: storage.options.dir, items: 0, expired: 0, bytes: 0, namespaces: 0};
+	for await (let datum of storage.iterate()) {
+		isLive(datum) ? result.items++ : result.expired++;
+	}
+	let adapter = storage.options.adapter;
+	let walk = async (dir, depth) => {
+		for (let entry of await adapter.readDirectory(dir)) {
+			if (entry.name[0] === '.') {
+				continue;
+			}
+			if (entry.directory && depth && /^[0-9a-f]{2}$/.test(entry.name)) {
+				await walk(path.join(dir, entry.name), depth - 1);
+			} else if (entry.directory) {
+				result.namespaces++;
+			} else {
+				result.bytes += (await adapter.stat(path.join(dir, entry.name))).size;
+			}
+		}
+	};
+	await walk(storage.options.dir, storage.options.shardDepth);
+	return result;
+};
+
+const commands = {
+	ls: async function (storage, args, io) {
+		for await (let datum of storage.iterate({prefix: args.prefix, filter: isLive})) {
+			io.stdout.write(datum.key + '\n');
+		}
+	},
+
+	get: async function (storage, args, io) {
+		let key = args._[0];
+		let value = await storage.getItem(key);
+		if (value === undefined) {
+			throw new Error(`[node-persist][get] ${key} is not set!`);
+		}
+		// with the storage's serializer, JSON can't tell a Map or a BigInt
+		io.stdout.write(storage.stringify(value) + '\n');
+	},
+
+	set: async function (storage, args) {
+		let options = {};
+		if (args.ttl != null) {
+			options.ttl = Number(args.ttl);
+		}
+		await storage.setItem(args._[0], resolveType(args._[1]), options);
+	},
+
+	rm: async function (storage, args, io) {
+		let result = await storage.removeItem(args._[0]);
+		if (!result.existed) {
+			io.stderr.write(`${args._[0]} was not set\n`);
+		}
+	},
+
+	clear: async function (storage) {
+		await storage.clear();
+	},
+
+	prune: async function (storage, args, io) {
+		let expired = await storage.keys(datum => !isLive(datum));
+		await storage.removeExpiredItems();
+		io.stdout.write(`removed ${expired.length} expired item(s)\n`);
+	},
+
+	stats: async function (storage, args, io) {
+		io.stdout.write(JSON.stringify(await stats(storage), null, 2) + '\n');
+	},
+
+	dump: async function (storage, args, io) {
+		await storage.exportTo(io.stdout, {end: false});
+	},
+
+	verify: async function (storage, args, io) {
+		let result = await storage.verify();
+		for (let problem of result.problems) {
+			io.stdout.write(`${problem.problem}\t${problem.file}\t${problem.message}\n`);
+		}
+		io.stdout.write(`verified ${result.files} file(s), found ${result.problems.length} problem(s)\n`);
+		if (result.problems.length) {
+			throw new Error(`[node-persist][verify] ${storage.options.dir} has ${result.problems.length} file(s) that can't be used, see repair!`);
+		}
+	},
+
+	repair: async function (storage, args, io) {
+		let result = await storage.repair({quarantineDir: args.quarantine});
+		for (let moved of result.moved) {
+			io.stdout.write(`moved ${moved.file} to ${moved.to}\n`);
+		}
+		io.stdout.write(`moved ${result.moved.length} file(s)\n`);
+	}
+};
+
+/* the number of arguments each command needs */
+const arity = {ls: 0, get: 1, set: 2, rm: 1, clear: 0, prune: 0, stats: 0, dump: 0, verify: 0, repair: 0};
+
+/* runs the command in argv and resolves with the exit code, 1 if it failed, 2 if it's not a valid command */
+const run = async function (argv, io = {stdout: process.stdout, stderr: process.stderr, env: process.env}) {
+	let args;
+	try {
+		args = parseArgs(argv);
+	} catch (err) {
+		io.stderr.write(err.message + '\n' + usage);
+		return 2;
+	}
+	let name = args._.shift();
+	if (args.help || !name) {
+		(args.help ? io.stdout : io.stderr).write(usage);
+		return args.help ? 0 : 2;
+	}
+	if (!commands.hasOwnProperty(name) || args._.length < arity[name]) {
+		io.stderr.write(`[node-persist][cli] ${name} is not a valid command, or is missing arguments!\n` + usage);
+		return 2;
+	}
+	if (args.ttl != null && !/^[1-9][0-9]*$/.test(args.ttl)) {
+		io.stderr.write(`[node-persist][cli] --ttl must be a positive integer of milliseconds!\n` + usage);
+		return 2;
+	}
+	let root;
+	try {
+		root = nodePersist.create(storageOptions(args, io.env || {}));
+		await root.init();
+		let storage = args.namespace ? await root.namespace(args.namespace) : root;
+		await commands[name](storage, args, io);
+		// so the index, if any, is written before the process exits
+		await root.close();
+		return 0;
+	} catch (err) {
+		root && await root.close().catch(() => {});
+		io.stderr.write(err.message + '\n');
+		return 1;
+	}
+};
+
+module.exports = {
+	run: run,
+	parseArgs: parseArgs
+};
@@ -0,0 +1,147 @@
+/*
+ * Encodes the files before they're written and decodes them once read.
+ * An encoded file starts with a header, so the files that are not encoded, i.e. written before encryption or compression was on, can still be read.
+ */
+
+const crypto = require('crypto');
+const zlib = require('zlib');
+const {promisify} = require('util');
+
+/* JSON text never starts with a NUL byte, that's how an encoded file is told apart from a plain one */
+const encryptedHeader = Buffer.from('\0NPE');
+
+const compressedHeaders = {
+	gzip: Buffer.from('\0NPG'),
+	brotli: Buffer.from('\0NPB')
+};
+
+const compressors = {
+	gzip: promisify(zlib.gzip),
+	brotli: zlib.brotliCompress && promisify(zlib.brotliCompress)
+};
+
+const decompressors = {
+	gzip: promisify(zlib.gunzip),
+	brotli: zlib.brotliDecompress && promisify(zlib.brotliDecompress)
+};
+
+const scrypt = promisify(crypto.scrypt);
+
+const ivLength = 12;
+const tagLength = 16;
+const saltLength = 16;
+
+const keyLengths = {
+	'aes-128-gcm': 16,
+	'aes-192-gcm': 24,
+	'aes-256-gcm': 32,
+	'chacha20-poly1305': 32
+};
+
+const defaultAlgorithm = 'aes-256-gcm';
+
+const hasHeader = function (data, header) {
+	return data.length >= header.length && data.slice(0, header.length).equals(header);
+};
+
+const isSupportedAlgorithm = function (algorithm) {
+	return keyLengths.hasOwnProperty(algorithm) && crypto.getCiphers().indexOf(algorithm) !== -1;
+};
+
+/* a Buffer of the right length is used as is, anything else, i.e. a passphrase, is stretched into one with scrypt and the storage's salt */
+const deriveKey = async function (key, salt, algorithm = defaultAlgorithm) {
+	let length = keyLengths[algorithm];
+	if (Buffer.isBuffer(key) && key.length === length) {
+		return key;
+	}
+	return scrypt(key, salt, length);
+};
+
+const createSalt = function () {
+	return crypto.randomBytes(saltLength);
+};
+
+const isEncrypted = function (data) {
+	return hasHeader(data, encryptedHeader);
+};
+
+/* header, algorithm name length, algorithm name, iv, auth tag, cipher text */
+const encrypt = function (data, key, algorithm = defaultAlgorithm) {
+	let iv = crypto.randomBytes(ivLength);
+	let cipher = crypto.createCipheriv(algorithm, key, iv, {authTagLength: tagLength});
+	let encrypted = Buffer.concat([cipher.update(data), cipher.final()]);
+	let name = Buffer.from(algorithm);
+	return Buffer.concat([encryptedHeader, Buffer.from([name.length]), name, iv, cipher.getAuthTag(), encrypted]);
+};
+
+/* tries each key in turn, so files encrypted with the previous key can still be read while the key is rotated */
+const decrypt = function (data, keys) {
+	let offset = encryptedHeader.length;
+	let nameLength = data[offset];
+	offset += 1;
+	let algorithm = data.slice(offset, offset + nameLength).toString();
+	offset += nameLength;
+	let iv = data.slice(offset, offset + ivLength);
+	offset += ivLength;
+	let tag = data.slice(offset, offset + tagLength);
+	offset += tagLength;
+	if (!isSupportedAlgorithm(algorithm)) {
+		throw new Error(`unsupported algorithm ${algorithm}`);
+	}
+	for (let key of keys) {
+		if (key.length !== keyLengths[algorithm]) {
+			continue;
+		}
+		try {
+			let decipher = crypto.createDecipheriv(algorithm, key, iv, {authTagLength: tagLength});
+			decipher.setAuthTag(tag);
+			return Buffer.concat([decipher.update(data.slice(offset)), decipher.final()]);
+		} catch (err) {
+			// wrong key or tampered data, try the next key
+		}
+	}
+	throw new Error('wrong key or tampered data');
+};
+
+/* brotli needs node 10.16+ */
+const isSupportedCompression = function (compression) {
+	return compressors.hasOwnProperty(compression) && !!compressors[compression];
+};
+
+const compressionOf = function (data) {
+	for (let compression in compressedHeaders) {
+		if (hasHeader(data, compressedHeaders[compression])) {
+			return compression;
+		}
+	}
+	return undefined;
+};
+
+const compress = async function (data, compression) {
+	return Buffer.concat([compressedHeaders[compression], await compressors[compression](data)]);
+};
+
+/* the data is returned as is if it's not compressed */
+const decompress = async function (data) {
+	let compression = compressionOf(data);
+	if (!compression) {
+		return data;
+	}
+	if (!decompressors[compression]) {
+		throw new Error(`${compression} is not supported by this version of node`);
+	}
+	return decompressors[compression](data.slice(compressedHeaders[compression].length));
+};
+
+module.exports = {
+	defaultAlgorithm: defaultAlgorithm,
+	isSupportedAlgorithm: isSupportedAlgorithm,
+	deriveKey: deriveKey,
+	createSalt: createSalt,
+	isEncrypted: isEncrypted,
+	encrypt: encrypt,
+	decrypt: decrypt,
+	isSupportedCompression: isSupportedCompression,
+	compress: compress,
+	decompress: decompress
+};
@@ -0,0 +1,97 @@
+/*
+ * The upcoming expiries, a min-heap of the keys' ttls, so the expired keys are found without reading every file.
+ * Changing or removing a ttl leaves its old heap entry behind, it's skipped once it reaches the top
+ */
+
+const ExpiryHeap = function () {
+	if(!(this instanceof ExpiryHeap)) {
+		return new ExpiryHeap();
+	}
+	/* key -> its current ttl, a heap entry with another ttl is stale */
+	this.ttls = new Map();
+	/* [{key, ttl}], the earliest ttl first */
+	this.heap = [];
+};
+
+ExpiryHeap.prototype = {
+
+	set: function (key, ttl) {
+		if (!ttl) {
+			return this.delete(key);
+		}
+		if (this.ttls.get(key) === ttl) {
+			return;
+		}
+		this.ttls.set(key, ttl);
+		this.push({key: key, ttl: ttl});
+		// too many stale entries, start over from the current ttls
+		if (this.heap.length > 2 * this.ttls.size + 1000) {
+			this.heap = [];
+			this.ttls.forEach((ttl, key) => this.push({key: key, ttl: ttl}));
+		}
+	},
+
+	delete: function (key) {
+		this.ttls.delete(key);
+	},
+
+	/* the earliest ttl, undefined if there's none */
+	peek: function () {
+		while (this.heap.length && this.ttls.get(this.heap[0].key) !== this.heap[0].ttl) {
+			this.pop();
+		}
+		return this.heap.length ? this.heap[0].ttl : undefined;
+	},
+
+	/* removes and returns the keys whose ttl is before now */
+	popExpired: function (now) {
+		let keys = [];
+		for (let ttl = this.peek(); ttl !== undefined && ttl < now; ttl = this.peek()) {
+			let entry = this.pop();
+			this.ttls.delete(entry.key);
+			keys.push(entry.key);
+		}
+		return keys;
+	},
+
+	push: function (entry) {
+		let heap = this.heap;
+		let i = heap.push(entry) - 1;
+		while (i > 0) {
+			let parent = (i - 1) >> 1;
+			if (heap[parent].ttl <= entry.ttl) {
+				break;
+			}
+			heap[i] = heap[parent];
+			i = parent;
+		}
+		heap[i] = entry;
+	},
+
+	pop: function () {
+		let heap = this.heap;
+		let top = heap[0];
+		let last = heap.pop();
+		if (heap.length) {
+			let i = 0;
+			while (true) {
+				let child = 2 * i + 1;
+				if (child >= heap.length) {
+					break;
+				}
+				if (child + 1 < heap.length && heap[child + 1].ttl < heap[child].ttl) {
+					child++;
+				}
+				if (heap[child].ttl >= last.ttl) {
+					break;
+				}
+				heap[i] = heap[child];
+				i = child;
+			}
+			heap[i] = last;
+		}
+		return top;
+	}
+};
+
+module.exports = ExpiryHeap;
@@ -5,26 +5,101 @@
 
 const fs = require('fs');
 const path = require('path');
+const zlib = require('zlib');
 const crypto = require('crypto');
+const EventEmitter = require('events');
+const {StringDecoder} = require('string_decoder');
 const pkg = require('../package.json');
+const FileSystemAdapter = require('./adapters/fs');
+const LRUCache = require('./lru-cache');
+const ValueIndex = require('./value-index');
+const ExpiryHeap = require('./expiry-heap');
+const codec = require('./codec');
+const serializer = require('./serializer');
+const {isProcessAlive, search} = require('./utils');
 
 const defaults = {
 	dir: '.' + pkg.name + '/storage',
 	stringify: JSON.stringify,
 	parse: JSON.parse,
+	serializer: 'json',
 	encoding: 'utf8',
 	logging: false,
 	expiredInterval: 2 * 60 * 1000, /* every 2 minutes */
 	forgiveParseErrors: false,
-	ttl: false
+	ttl: false,
+	index: false,
+	adapter: FileSystemAdapter(),
+	cache: false,
+	watch: false,
+	encryption: false,
+	compression: false,
+	compressionThreshold: 1024, /* bytes, smaller files are not worth compressing */
+	history: false,
+	shardDepth: 0,
+	maxItems: false,
+	maxBytes: false,
+	eviction: 'lru'
 };
 
+const defaultCacheOptions = {maxEntries: 1000}; /* if cache is true */
+const defaultHistoryOptions = {maxVersions: 10}; /* if history is true */
+
+const historyDirName = '.history';
+const quarantineDirName = '.quarantine';
+
 const defaultTTL = 24 * 60 * 60 * 1000; /* if ttl is truthy but it's not a number, use 24h as default */
+/* getItem doesn't push a sliding ttl forward by less than that, or a tenth of the ttl, so every read isn't a write too */
+const slidingResolution = 1000;
+/* the expired items clean-up runs that long after the earliest ttl, so the items that expire together go in one run */
+const expirySlack = 10;
+const maxTimeout = 2147483647; /* setTimeout fires right away past that */
+
+/* with a quota, getItem writes the last access of an item to its file at most that often, it's only tracked in memory in between */
+const accessResolution = 60 * 1000;
+/* the order the items are evicted in, past maxItems or maxBytes, lru just evicts the least recently used first, see _pickVictim */
+const evictionOrders = {
+	lru: null,
+	lfu: (a, b) => a.hits - b.hits || a.atime - b.atime,
+	'ttl-first': (a, b) => (a.ttl || Infinity) - (b.ttl || Infinity) || a.atime - b.atime
+};
+
+const indexFileName = '.node-persist-index.json';
+const indexFlushDelay = 1000; /* coalesce the index writes of a burst of setItem/removeItem calls */
+const valueIndexFileName = function (name) {
+	return `.node-persist-index.${name}.json`;
+};
+
+/* a batch's journal, named after the process writing it, so the journals of a live process are left alone on init */
+const journalFileRegex = /^\.node-persist-journal\.(\d+)\.([0-9a-f]+)\.json$/;
+
+const manifestFileName = '.node-persist-manifest.json';
+/* 1: 1.x, a file per key named after the base64 encoded key, holding only the value. 2: 2.x and up, md5 named files holding {key, value, ttl} */
+const currentLayout = 2;
+const keyHash = 'md5';
+const maxShardDepth = 4;
+
+const watchDelay = 50; /* a single write usually fires a few watch events, wait for them to settle */
+const ownWritesTTL = 10 * 1000; /* how long this process remembers what it wrote, to tell its own changes from the others' */
 
 const isFunction = function(fn) {
 	return typeof fn === 'function';
 };
 
+const canonical = function (value) {
+	if (Array.isArray(value)) {
+		return value.map(canonical);
+	}
+	if (value && typeof value === 'object' && [Object.prototype, null].indexOf(Object.getPrototypeOf(value)) !== -1) {
+		let sorted = {};
+		for (let key of Object.keys(value).sort()) {
+			sorted[key] = canonical(value[key]);
+		}
+		return sorted;
+	}
+	return value;
+};
+
 const isNumber = function(n) {
 	return !isNaN(parseFloat(n)) && isFinite(n);
 };
@@ -41,10 +116,48 @@ const isFutureDate = function(d) {
 	return isValidDate(d) && d.getTime() > (+new Date);
 };
 
+const isValidTTL = function(ttl) {
+	return (typeof ttl === 'number' && isFinite(ttl) && ttl > 0) || isFutureDate(ttl);
+};
+
 const md5 = function (key) {
 	return crypto.createHash('md5').update(key).digest('hex');
 };
 
+const isDatumFileName = function (name) {
+	return /^[0-9a-f]{32}$/.test(name);
+};
+
+/* with a shardDepth, the files are in that many levels of directories named after the next 2 characters of their names */
+const isShardName = function (name) {
+	return /^[0-9a-f]{2}$/.test(name);
+};
+
+const shardPath = function (name, depth) {
+	let parts = [];
+	for (let i = 0; i < depth; i++) {
+		parts.push(name.slice(2 * i, 2 * i + 2));
+	}
+	parts.push(name);
+	return path.join(...parts);
+};
+
+/* 1.x named the files after the base64 encoded keys, with the / replaced, anything else isn't one of its files */
+const legacyKeyOf = function (name) {
+	let base64 = name.replace(/[-_]/g, '/');
+	if (isDatumFileName(name) || Buffer.from(base64, 'base64').toString('base64') !== base64) {
+		return undefined;
+	}
+	return Buffer.from(base64, 'base64').toString('utf8');
+};
+
+const serializerName = function (options) {
+	if (options.serializer === 'structured') {
+		return 'structured';
+	}
+	return options.stringify === JSON.stringify && options.parse === JSON.parse ? 'json' : 'custom';
+};
+
 const isValidStorageFileContent = function (content) {
 	return content && content.key;
 };
@@ -57,6 +170,55 @@ const isNotExpired = function (datum) {
 	return !isExpired(datum);
 };
 
+const isValidNamespace = function (name) {
+	return typeof name === 'string' && name.length > 0 && name[0] !== '.' && !/[\/\\]/.test(name) && !/^[0-9a-f]{32}$/.test(name);
+};
+
+const isLive = function (datum) {
+	return isValidStorageFileContent(datum) && isNotExpired(datum);
+};
+
+const isGzipSnapshot = function (target, options) {
+	return options.gzip != null ? !!options.gzip : typeof target === 'string' && /\.gz$/.test(target);
+};
+
+const drained = function (stream) {
+	return new Promise((resolve, reject) => {
+		const done = (err) => {
+			stream.removeListener('drain', done);
+			stream.removeListener('error', done);
+			err ? reject(err) : resolve();
+		};
+		stream.on('drain', done);
+		stream.on('error', done);
+	});
+};
+
+const finished = function (stream) {
+	return new Promise((resolve, reject) => {
+		stream.on('finish', resolve);
+		stream.on('error', reject);
+	});
+};
+
+/* keys({...}) and entries({...}) sort the keys by their string, a number key 42 comes along with '42' */
+const compareKeys = function (a, b) {
+	a = String(a);
+	b = String(b);
+	return a < b ? -1 : a > b ? 1 : 0;
+};
+
+const encodeCursor = function (key) {
+	return Buffer.from(String(key)).toString('base64');
+};
+
+const decodeCursor = function (cursor) {
+	if (typeof cursor !== 'string') {
+		return undefined;
+	}
+	return Buffer.from(cursor, 'base64').toString();
+};
+
 const resolveDir = function(dir) {
 	dir = path.normalize(dir);
 	if (path.isAbsolute(dir)) {
@@ -65,31 +227,150 @@ const resolveDir = function(dir) {
 	return path.join(process.cwd(), dir);
 };
 
+const layoutMigrations = {
+	/* 1.x wrote a value per file, named after the base64 encoded key, and the ttls, if any, to the same named files of options.ttlDir */
+	1: async function (dir, options) {
+		for (let name of await this._listFiles(dir)) {
+			let key = legacyKeyOf(name);
+			if (key === undefined) {
+				continue;
+			}
+			let file = path.join(dir, name);
+			// i.e. a file named test or data, that 1.x didn't write
+			let value = await this._readLegacyValue(file);
+			if (value === undefined) {
+				this.log(`${file} does not look like a valid 1.x storage file, leaving it as is`);
+				continue;
+			}
+			let ttlFile = options.ttlDir ? path.join(resolveDir(options.ttlDir), name) : null;
+			let ttl = ttlFile ? this.parse(await this.readFile(ttlFile, {raw: true})) : undefined;
+			ttl = isNumber(ttl) ? Number(ttl) : undefined;
+			if (!ttl || ttl > Date.now()) {
+				await this.writeFile(this.getDatumPath(key), this._nextDatum(key, value, ttl));
+			}
+			await this.deleteFile(file);
+			ttlFile && await this.deleteFile(ttlFile);
+		}
+	}
+};
+
 const LocalStorage = function (options) {
 	if(!(this instanceof LocalStorage)) {
 		return new LocalStorage(options);
 	}
+	EventEmitter.call(this);
+	/* key -> promise of the last operation queued on that key, see _enqueue */
+	this._queues = new Map();
+	this._operations = new Set();
+	/* name -> promise of the namespace's LocalStorage, see namespace */
+	this._namespaces = new Map();
+	this._namespaceStorages = new Set();
+	this._valueIndexes = new Map();
+	this._shardDirectories = new Set();
+	this._encryptionKeys = [];
 	this.setOptions(options);
 };
 
 LocalStorage.prototype = {
 
 	init: async function (options) {
+		// a closed storage can be opened again, once it's done closing
+		if (this._closing) {
+			await this._closing.catch(() => {});
+		}
 		if (options) {
 			this.setOptions(options);
 		}
 		await this.ensureDirectory(this.options.dir);
-		if (this.options.expiredInterval) {
+		await this._checkManifest(this.options.dir);
+		await this.recover(this.options.dir);
+		await this._replayJournals(this.options.dir);
+		if (this.options.history) {
+			await this.ensureDirectory(this._historyDir());
+			// the temp files of the history writes went in there before they went in dir
+			await this.recover(this._historyDir());
+		}
+		await this._flushIndex();
+		this._index = this.options.index ? await this._loadIndex(this.options.dir) : null;
+		this._cache = this.options.cache ? LRUCache(this.options.cache === true ? defaultCacheOptions : this.options.cache) : null;
+		this._usage = this.options.maxItems || this.options.maxBytes ? await this._loadUsage(this.options.dir) : null;
+		// the quota might have been lowered since
+		await this._evict();
+		this._expiry = null;
+		if (this._parent && this._parent._expiry) {
+			// its parent's timer removes its expired items
+			await this._expirySchedule();
+		} else if (this.options.expiredInterval) {
+			await this._expirySchedule();
 			this.startExpiredKeysInterval();
+		} else {
+			this.stopExpiredKeysInterval();
 		}
+		if (this.options.watch) {
+			this.startWatching();
+		} else {
+			this.stopWatching();
+		}
+		this._initialized = true;
+		this._closed = false;
+		this._closing = null;
 		return this.options;
 	},
 
+	close: function () {
+		if (!this._closing) {
+			this._closed = true;
+			this.stopExpiredKeysInterval();
+			this.stopWatching();
+			this._detach && this._detach();
+			this._closing = (async () => {
+				// the operations in progress might still use the namespaces, i.e. rotateKey
+				await this._drain();
+				let namespaces = Array.from(this._namespaces.values());
+				this._namespaces.clear();
+				for (let namespace of namespaces) {
+					let storage = await namespace.catch(() => null);
+					storage && await storage.close();
+				}
+				await this._flushIndex();
+				for (let index of this._valueIndexes.values()) {
+					await this._flushValueIndex(index);
+				}
+				this.log(`closed ${this.options.dir}`);
+			})();
+		}
+		return this._closing;
+	},
+
+	_drain: async function () {
+		let pending = () => [...this._queues.values(), ...this._operations, this._removingExpiredItems, this._expiryReady]
+			.concat(Array.from(this._valueIndexes.values(), index => index.ready))
+			.filter(Boolean)
+			.map(promise => promise.catch(() => {}));
+		while (this._queues.size || this._operations.size) {
+			await Promise.all(pending());
+		}
+		await Promise.all(pending());
+	},
+
+	_lifecycleError: function (method) {
+		let err;
+		if (this._closed) {
+			err = new Error(`[node-persist][${method}] the storage is closed!`);
+			err.code = 'NODE_PERSIST_CLOSED';
+		} else if (!this._initialized) {
+			err = new Error(`[node-persist][${method}] the storage is not initialized, call init() first!`);
+			err.code = 'NODE_PERSIST_NOT_INITIALIZED';
+		}
+		return err;
+	},
+
 	setOptions: function (userOptions) {
 		let options = {};
 
 		if (!userOptions) {
-			options = defaults;
+			// a copy, the defaults are shared by every instance, and rotateKey changes options.encryption
+			options = Object.assign({}, defaults);
 		} else {
 			for (let key in defaults) {
 				if (userOptions.hasOwnProperty(key)) {
@@ -108,21 +389,252 @@ LocalStorage.prototype = {
 			this.log = options.logging;
 			options.logging = true;
 		}
+		if (options.serializer === 'structured') {
+			options.stringify = serializer.stringify;
+			options.parse = serializer.parse;
+		} else if (options.serializer !== 'json') {
+			throw new Error(`[node-persist][setOptions] ${options.serializer} is not a valid serializer, use json or structured!`);
+		} else if (options.stringify === serializer.stringify) {
+			// back from structured
+			options.stringify = JSON.stringify;
+			options.parse = JSON.parse;
+		}
+		options.encryption && this._checkEncryption(options.encryption);
+		if (!Number.isInteger(options.shardDepth) || options.shardDepth < 0 || options.shardDepth > maxShardDepth) {
+			throw new Error(`[node-persist][setOptions] shardDepth must be an integer from 0 to ${maxShardDepth}!`);
+		}
+		if (!evictionOrders.hasOwnProperty(options.eviction)) {
+			throw new Error(`[node-persist][setOptions] ${options.eviction} is not a valid eviction policy, use lru, lfu or ttl-first!`);
+		}
+		if (options.compression && !codec.isSupportedCompression(options.compression)) {
+			throw new Error(`[node-persist][setOptions] ${options.compression} is not a supported compression!`);
+		}
 		this.options = options;
 	},
 
+	_checkEncryption: function (encryption) {
+		let algorithm = encryption.algorithm || codec.defaultAlgorithm;
+		if (!codec.isSupportedAlgorithm(algorithm)) {
+			throw new Error(`[node-persist][setOptions] ${algorithm} is not a supported encryption algorithm!`);
+		}
+		if (!encryption.key) {
+			throw new Error(`[node-persist][setOptions] encryption needs a key!`);
+		}
+	},
+
+	_encryptionKey: function (encryption) {
+		this._checkEncryption(encryption);
+		return codec.deriveKey(encryption.key, this._salt, encryption.algorithm || codec.defaultAlgorithm);
+	},
+
+	_deriveEncryptionKeys: async function (manifest) {
+		this._salt = manifest && manifest.salt ? Buffer.from(manifest.salt, 'hex') : codec.createSalt();
+		this._encryptionKeys = this.options.encryption ? [await this._encryptionKey(this.options.encryption)] : [];
+	},
+
+	rotateKey: function (oldKey, newKey) {
+		return this._rotateKey(oldKey, newKey);
+	},
+
+	_rotateKey: async function (oldKey, newKey) {
+		let encryption = this.options.encryption;
+		let algorithm = (encryption && encryption.algorithm) || codec.defaultAlgorithm;
+		let currentKey = this._encryptionKeys[0];
+		let oldDerivedKey = oldKey ? await codec.deriveKey(oldKey, this._salt, algorithm) : undefined;
+		if (currentKey && (!oldDerivedKey || !crypto.timingSafeEqual(currentKey, oldDerivedKey))) {
+			throw new Error(`[node-persist][rotateKey] oldKey is not the current encryption key!`);
+		}
+		let newEncryption = newKey ? {key: newKey, algorithm: algorithm} : false;
+		let newKeys = newEncryption ? [await this._encryptionKey(newEncryption)] : [];
+		this.options.encryption = newEncryption;
+		this._encryptionKeys = newKeys.concat(oldDerivedKey || []);
+
+		let dir = this.options.dir;
+		for (let currentFile of await this._listFiles(dir, this.options.shardDepth)) {
+			let file = path.join(dir, currentFile);
+			let datum = await this.readFile(file);
+			if (!isValidStorageFileContent(datum)) {
+				continue;
+			}
+			await this._enqueue(datum.key, async () => {
+				// read it again, it might have changed while waiting for its turn
+				let current = await this.readFile(file);
+				if (!isValidStorageFileContent(current)) {
+					return;
+				}
+				let result = await this.writeFile(file, current);
+				this._indexPut(current.key, {file: currentFile, ttl: current.ttl, size: result.size, mtime: result.mtime});
+				this._valueIndexesPut(current.key, current.value, {file: currentFile, size: result.size, mtime: result.mtime});
+			});
+		}
+		if (this.options.history) {
+			for (let currentFile of await this._listFiles(this._historyDir())) {
+				let file = path.join(this._historyDir(), currentFile);
+				let history = this.parse(await this.readFile(file, {raw: true}));
+				if (history && history.key != null) {
+					await this._enqueue(history.key, async () => {
+						let current = this.parse(await this.readFile(file, {raw: true}));
+						current && Array.isArray(current.versions) && await this.writeFile(file, current);
+					});
+				}
+			}
+		}
+		if (this._index) {
+			this._scheduleIndexFlush();
+			await this._flushIndex();
+		}
+		for (let index of this._valueIndexes.values()) {
+			this._scheduleValueIndexFlush(index);
+			await this._flushValueIndex(index);
+		}
+		for (let namespace of this._namespaces.values()) {
+			await (await namespace)._rotateKey(oldKey, newKey);
+		}
+		this._encryptionKeys = newKeys;
+		this.log(`rotated the encryption key of ${dir}`);
+	},
+
+	/* compressed first, encrypted data doesn't compress */
+	_encode: async function (text) {
+		let data = Buffer.from(text, this.options.encoding);
+		if (this.options.compression && data.length >= this.options.compressionThreshold) {
+			let compressed = await codec.compress(data, this.options.compression);
+			if (compressed.length < data.length) {
+				data = compressed;
+			}
+		}
+		if (this.options.encryption) {
+			data = codec.encrypt(data, this._encryptionKeys[0], this.options.encryption.algorithm || codec.defaultAlgorithm);
+		}
+		return data;
+	},
+
+	_decode: async function (data, file) {
+		if (codec.isEncrypted(data)) {
+			if (!this._encryptionKeys.length) {
+				throw new Error(`[node-persist][readFile] ${file} is encrypted, but no encryption key was given!`);
+			}
+			try {
+				data = codec.decrypt(data, this._encryptionKeys);
+			} catch (err) {
+				throw new Error(`[node-persist][readFile] ${file} could not be decrypted, ${err.message}!`);
+			}
+		}
+		try {
+			data = await codec.decompress(data);
+		} catch (err) {
+			throw new Error(`[node-persist][readFile] ${file} could not be decompressed, ${err.message}!`);
+		}
+		return data.toString(this.options.encoding);
+	},
+
 	data: function () {
 		return this.readDirectory(this.options.dir);
 	},
 
-	keys: async function (filter) {
-		let data = await this.data();
+	keys: function (filter) {
+		return this._keys(filter);
+	},
+
+	_keys: async function (filter) {
+		if (filter && !isFunction(filter)) {
+			let page = await this._page(filter, 'keys');
+			return {keys: page.keys, cursor: page.cursor};
+		}
+		if (!filter && this._index) {
+			return Array.from(this._index.keys());
+		}
+		let data = await this.readDirectory(this.options.dir);
 		if (filter) {
 			data = data.filter(filter);
 		}
 		return data.map(datum => datum.key);
 	},
 
+	entries: async function (options = {}) {
+		let page = await this._page(options, 'entries');
+		let entries = [];
+		for (let key of page.keys) {
+			let datum = page.data ? page.data.get(key) : await this._getDatum(key);
+			// removed since, or just expired
+			if (isLive(datum)) {
+				entries.push({key: datum.key, value: datum.value, ttl: datum.ttl});
+			}
+		}
+		return {entries: entries, cursor: page.cursor};
+	},
+
+	/* with the index on, the files aren't read, and the sorted keys are kept until a key is added or removed */
+	_page: async function (options, method) {
+		if (options.limit != null && !(Number.isInteger(options.limit) && options.limit > 0)) {
+			throw new Error(`[node-persist][${method}] limit must be a positive integer!`);
+		}
+		if (options.cursor != null && decodeCursor(options.cursor) === undefined) {
+			throw new Error(`[node-persist][${method}] ${options.cursor} is not a valid cursor!`);
+		}
+		let keys;
+		let ttls;
+		let data = null;
+		if (this._index) {
+			if (!this._sortedKeys) {
+				this._sortedKeys = Array.from(this._index.keys()).sort(compareKeys);
+			}
+			keys = this._sortedKeys;
+			ttls = key => this._index.get(key).ttl;
+		} else {
+			data = new Map();
+			for (let datum of await this.readDirectory(this.options.dir)) {
+				data.set(datum.key, datum);
+			}
+			keys = Array.from(data.keys()).sort(compareKeys);
+			ttls = key => data.get(key).ttl;
+		}
+		let prefix = options.prefix != null ? String(options.prefix) : null;
+		let start = options.start != null ? String(options.start) : null;
+		let end = options.end != null ? String(options.end) : null;
+		let after = options.cursor != null ? decodeCursor(options.cursor) : null;
+		let reverse = !!options.reverse;
+		let i;
+		// where the page starts, then it goes on until a key is out of the bounds
+		if (!reverse) {
+			let lowest = [start, prefix].reduce((lowest, bound) => bound !== null && (lowest === null || bound > lowest) ? bound : lowest, null);
+			i = lowest === null ? 0 : search(keys, key => String(key) >= lowest);
+			if (after !== null) {
+				i = Math.max(i, search(keys, key => String(key) > after));
+			}
+		} else {
+			i = keys.length;
+			if (end !== null) {
+				i = Math.min(i, search(keys, key => String(key) >= end));
+			}
+			if (prefix !== null) {
+				i = Math.min(i, search(keys, key => String(key) >= prefix && String(key).indexOf(prefix) !== 0));
+			}
+			if (after !== null) {
+				i = Math.min(i, search(keys, key => String(key) >= after));
+			}
+			i--;
+		}
+		let page = [];
+		let now = Date.now();
+		for (; i >= 0 && i < keys.length; reverse ? i-- : i++) {
+			let key = String(keys[i]);
+			if ((!reverse && end !== null && key >= end) || (reverse && start !== null && key < start) || (prefix !== null && key.indexOf(prefix) !== 0)) {
+				break;
+			}
+			let ttl = ttls(keys[i]);
+			if (ttl && ttl < now) {
+				continue;
+			}
+			// one more than the limit, to know whether there's a next page
+			if (options.limit && page.length === options.limit) {
+				return {keys: page, cursor: encodeCursor(page[page.length - 1]), data: data};
+			}
+			page.push(keys[i]);
+		}
+		return {keys: page, cursor: null, data: data};
+	},
+
 	values: async function (filter) {
 		let data = await this.data();
 		if (filter) {
@@ -132,6 +644,9 @@ LocalStorage.prototype = {
 	},
 
 	length: async function (filter) {
+		if (!filter && this._index) {
+			return this._index.size;
+		}
 		let data = await this.data();
 		if (filter) {
 			data = data.filter(filter);
@@ -140,12 +655,48 @@ LocalStorage.prototype = {
 	},
 
 	forEach: async function(callback) {
-		let data = await this.data();
-		for (let d of data) {
+		for await (let d of this._iterate()) {
 			await callback(d);
 		}
 	},
 
+	iterate: function (options) {
+		return this._iterate(options);
+	},
+
+	_iterate: async function* (options = {}) {
+		let dir = this.options.dir;
+		let prefix = options.prefix != null ? String(options.prefix) : null;
+		let files;
+		if (this._index) {
+			files = [];
+			for (let entry of this._index.values()) {
+				if (prefix === null || String(entry.key).indexOf(prefix) === 0) {
+					files.push(entry.file);
+				}
+			}
+		} else {
+			files = await this._listFiles(dir, this.options.shardDepth);
+		}
+		for (let currentFile of files) {
+			let datum = await this.readFile(path.join(dir, currentFile));
+			if (!isValidStorageFileContent(datum)) {
+				continue;
+			}
+			if (prefix !== null && String(datum.key).indexOf(prefix) !== 0) {
+				continue;
+			}
+			if (options.filter && !options.filter(datum)) {
+				continue;
+			}
+			yield {key: datum.key, value: datum.value, ttl: datum.ttl};
+		}
+	},
+
+	[Symbol.asyncIterator]: function () {
+		return this.iterate();
+	},
+
 	valuesWithKeyMatch: function(match) {
 		match = match || /.*/;
 		let filter = match instanceof RegExp ? datum => match.test(datum.key) : datum => datum.key.indexOf(match) !== -1;
@@ -156,38 +707,89 @@ LocalStorage.prototype = {
 		return this.setItem(key, value, options);
 	},
 
-	setItem: function (key, datumValue, options = {}) {
+	setItem: function (key, datumValue, options) {
+		return this._setItem(key, datumValue, options);
+	},
+
+	_setItem: function (key, datumValue, options = {}) {
 		let value = this.copy(datumValue);
 		let ttl = this.calcTTL(options.ttl);
-		if (this.logging) {
-			this.log(`set ('${key}': '${this.stringify(value)}')`);
-		}
-		let datum = {key: key, value: value, ttl: ttl};
-		return this.writeFile(this.getDatumPath(key), datum);
+		let sliding = options.sliding ? this._slidingTTL(options.ttl) : undefined;
+		return this._enqueue(key, async () => {
+			if (this.logging) {
+				this.log(`set ('${key}': '${this.stringify(value)}')`);
+			}
+			return this._writeDatum(key, value, ttl, await this._getPreviousDatum(key), 'set', sliding);
+		});
 	},
 
 	update: function (key, value, options = {}) {
 		return this.updateItem(key, value, options);
 	},
 
-	updateItem: async function (key, datumValue, options = {}) {
-		let previousDatum = await this.getDatum(key);
-		if (previousDatum && isNotExpired(previousDatum)) {
-			let newDatumValue = this.copy(datumValue);
-			let ttl;
-			if (options.ttl) {
-				ttl = this.calcTTL(options.ttl);
-			} else {
-				ttl = previousDatum.ttl;
-			}
+	updateItem: function (key, datumValue, options = {}) {
+		let newDatumValue = this.copy(datumValue);
+		return this._enqueue(key, async () => {
+			let previousDatum = await this._getPreviousDatum(key);
+			let ttl = this._nextTTL(previousDatum, options);
 			if (this.logging) {
-				this.log(`update ('${key}': '${this.stringify(newDatumValue)}')`);
+				this.log(`${isLive(previousDatum) ? 'update' : 'set'} ('${key}': '${this.stringify(newDatumValue)}')`);
 			}
-			let datum = {key: key, value: newDatumValue, ttl: ttl};
-			return this.writeFile(this.getDatumPath(key), datum);
-		} else {
-			return this.setItem(key, datumValue, options);
+			return this._writeDatum(key, newDatumValue, ttl, previousDatum, isLive(previousDatum) ? 'update' : 'set', this._nextSliding(previousDatum, options));
+		});
+	},
+
+	incr: function (key, by = 1, options = {}) {
+		return this._incr(key, by, options, 'incr');
+	},
+
+	decr: function (key, by = 1, options = {}) {
+		return this._incr(key, typeof by === 'number' ? -by : by, options, 'decr');
+	},
+
+	_incr: function (key, by, options, method) {
+		if (typeof by !== 'number' || !isFinite(by)) {
+			return Promise.reject(new Error(`[node-persist][${method}] by must be a finite number!`));
 		}
+		return this._enqueue(key, async () => {
+			let previousDatum = await this._getDatum(key);
+			let current = isLive(previousDatum) ? previousDatum.value : 0;
+			if (typeof current !== 'number') {
+				throw new Error(`[node-persist][${method}] ${key} does not hold a number!`);
+			}
+			let value = current + by;
+			await this._writeDatum(key, value, this._nextTTL(previousDatum, options), previousDatum, isLive(previousDatum) ? 'update' : 'set', this._nextSliding(previousDatum, options));
+			return value;
+		});
+	},
+
+	setIfAbsent: function (key, datumValue, options = {}) {
+		let value = this.copy(datumValue);
+		return this._enqueue(key, async () => {
+			let previousDatum = await this._getDatum(key);
+			if (isLive(previousDatum)) {
+				return false;
+			}
+			await this._writeDatum(key, value, this.calcTTL(options.ttl), previousDatum, 'set', options.sliding ? this._slidingTTL(options.ttl) : undefined);
+			return true;
+		});
+	},
+
+	compareAndSet: function (key, expected, next, options = {}) {
+		let expectedValue = this.copy(expected);
+		let value = this.copy(next);
+		return this._enqueue(key, async () => {
+			let previousDatum = await this._getDatum(key);
+			if (options.rev !== undefined) {
+				if ((isLive(previousDatum) ? previousDatum.rev || 0 : 0) !== options.rev) {
+					return false;
+				}
+			} else if (this.stringify(canonical(isLive(previousDatum) ? previousDatum.value : undefined)) !== this.stringify(canonical(expectedValue))) {
+				return false;
+			}
+			await this._writeDatum(key, value, this._nextTTL(previousDatum, options), previousDatum, isLive(previousDatum) ? 'update' : 'set', this._nextSliding(previousDatum, options));
+			return true;
+		});
 	},
 
 	get: function (key) {
@@ -195,17 +797,41 @@ LocalStorage.prototype = {
 	},
 
 	getItem: async function (key) {
-		let datum = await this.getDatum(key);
+		let datum = await this._getDatum(key);
 		if (isExpired(datum)) {
 			this.log(`${key} has expired`);
-			await this.removeItem(key);
+			await this._removeIfExpired(key);
 		} else {
+			if (datum.sliding && Date.now() + datum.sliding - datum.ttl >= Math.min(slidingResolution, datum.sliding / 10)) {
+				await this._updateDatum(key, current => ({ttl: current.sliding ? Date.now() + current.sliding : current.ttl}));
+			}
+			let usage = this._usageAccess(key);
+			if (usage && this.options.eviction !== 'ttl-first' && usage.atime - (datum.atime || 0) >= accessResolution) {
+				await this._updateDatum(key, () => ({atime: usage.atime, hits: usage.hits}));
+			}
 			return datum.value;
 		}
 	},
 
 	getDatum: function (key) {
-		return this.readFile(this.getDatumPath(key));
+		return this._getDatum(key);
+	},
+
+	_getDatum: async function (key) {
+		if (!this._cache) {
+			return this.readFile(this.getDatumPath(key));
+		}
+		let cacheKey = String(key);
+		let cached = this._cache.get(cacheKey);
+		if (cached && isNotExpired(cached)) {
+			return this.copy(cached);
+		}
+		let generation = this._cache.generation;
+		let datum = await this.readFile(this.getDatumPath(key));
+		if (isLive(datum)) {
+			this._cache.set(cacheKey, this.copy(datum), Buffer.byteLength(this.stringify(datum)), generation);
+		}
+		return datum;
 	},
 
 	getRawDatum: function (key) {
@@ -213,12 +839,62 @@ LocalStorage.prototype = {
 	},
 
 	getDatumValue: async function (key) {
-		let datum = await this.getDatum(key);
+		let datum = await this._getDatum(key);
 		return datum && datum.value;
 	},
 
 	getDatumPath: function (key) {
-		return path.join(this.options.dir, md5(key));
+		return path.join(this.options.dir, shardPath(md5(key), this.options.shardDepth));
+	},
+
+	_fileName: function (file) {
+		return path.relative(this.options.dir, file);
+	},
+
+	getTTL: async function (key) {
+		let datum = await this._getDatum(key);
+		if (!isLive(datum)) {
+			return undefined;
+		}
+		return datum.ttl ? Math.max(datum.ttl - Date.now(), 0) : Infinity;
+	},
+
+	expire: function (key, ttl, options = {}) {
+		if (!isValidTTL(ttl)) {
+			return Promise.reject(new Error(`[node-persist][expire] ttl must be a positive number of milliseconds or a future Date!`));
+		}
+		return this._updateDatum(key, () => ({ttl: this.calcTTL(ttl), sliding: options.sliding ? this._slidingTTL(ttl) : undefined}));
+	},
+
+	persist: function (key) {
+		return this._updateDatum(key, () => ({ttl: undefined, sliding: undefined}));
+	},
+
+	touch: function (key, ttl) {
+		if (ttl !== undefined && !isValidTTL(ttl)) {
+			return Promise.reject(new Error(`[node-persist][touch] ttl must be a positive number of milliseconds or a future Date!`));
+		}
+		return this._updateDatum(key, datum => {
+			if (ttl !== undefined) {
+				return {ttl: this.calcTTL(ttl), sliding: datum.sliding ? this._slidingTTL(ttl) : undefined};
+			}
+			return {ttl: datum.sliding ? Date.now() + datum.sliding : datum.ttl, sliding: datum.sliding};
+		});
+	},
+
+	/* only the metadata changes, so the revision stays, it's not archived in the history and no event is emitted */
+	_updateDatum: function (key, next) {
+		return this._enqueue(key, async () => {
+			let datum = await this._getDatum(key);
+			if (!isLive(datum)) {
+				return false;
+			}
+			let fields = next(datum);
+			if (Object.keys(fields).some(field => fields[field] !== datum[field])) {
+				await this._storeDatum(key, Object.assign({}, datum, fields), datum, null, {archive: false});
+			}
+			return true;
+		});
 	},
 
 	del: function (key) {
@@ -230,131 +906,1345 @@ LocalStorage.prototype = {
 	},
 
 	removeItem: function (key) {
-		return this.deleteFile(this.getDatumPath(key));
+		return this._removeItem(key);
 	},
 
-	removeExpiredItems: async function () {
-		let keys = await this.keys(isExpired);
-		for (let key of keys) {
-			await this.removeItem(key);
-		}
+	_removeItem: function (key) {
+		return this._enqueue(key, async () => {
+			// only read what's about to be removed if someone wants to know
+			let previousDatum = this.listenerCount('remove') || this.options.history ? await this._getPreviousDatum(key) : undefined;
+			return this._deleteDatum(key, previousDatum, 'remove');
+		});
 	},
 
-	clear: async function () {
-		let data = await this.data();
-		for (let d of data) {
-			await this.removeItem(d.key);
-		}
+	removeExpiredItems: function () {
+		return this._removeExpiredItems(true);
 	},
 
-	ensureDirectory: function (dir) {
-		return new Promise((resolve, reject) => {
-			let result = {dir: dir};
-			//check to see if dir is present
-			fs.exists(dir, (exists) => {
-				if (exists) {
-					return resolve(result);
-				} else {
-					//create the directory
-					fs.mkdir(dir, { recursive: true }, (err) => {
-						if (err) {
-							return reject(err);
-						}
-						this.log('created ' + dir);
-						resolve(result);
-					});
+	/* a full run first reconciles the schedule with the files other processes changed, unless the watcher already does */
+	_removeExpiredItems: function (full) {
+		let previous = (this._removingExpiredItems || Promise.resolve()).catch(() => {});
+		this._removingExpiredItems = previous.then(async () => {
+			let schedule = await this._expirySchedule();
+			if (full && !this._watcher) {
+				schedule.touched = new Set();
+				this._expiryReconciledAt = Date.now();
+				try {
+					await this._reconcileExpiry(schedule);
+				} finally {
+					schedule.touched = null;
 				}
-			});
+			}
+			for (let key of schedule.popExpired(Date.now())) {
+				await this._removeIfExpired(key);
+			}
+			// namespaces don't run their own interval, their parent sweeps them
+			for (let namespace of this._namespaces.values()) {
+				await (await namespace)._removeExpiredItems(full);
+			}
 		});
+		return this._removingExpiredItems;
 	},
 
-	readDirectory: function (dir) {
-		return new Promise((resolve, reject) => {
-			//check to see if dir is present
-			fs.exists(dir, (exists) => {
-				if (exists) {
-					//load data
-					fs.readdir(dir, async (err, arr) => {
-						if (err) {
-							return reject(err);
-						}
-						let data = [];
-						try {
-							for (let currentFile of arr) {
-								if (currentFile[0] !== '.') {
-									data.push(await this.readFile(path.join(this.options.dir, currentFile)));
-								}
-							}
-						} catch (err) {
-							reject(err)
-						}
-						resolve(data);
-					});
-				} else {
-					reject(new Error(`[node-persist][readDirectory] ${dir} does not exists!`));
-				}
-			});
-		});
+	migrate: async function (migrations = [], options = {}) {
+		// it inits the storage if it's not yet, but a closed one stays closed until init()
+		if (this._closed) {
+			throw this._lifecycleError('migrate');
+		}
+		if (!Array.isArray(migrations) || migrations.some(migration => !migration || typeof migration.name !== 'string' || !isFunction(migration.migrate))) {
+			throw new Error(`[node-persist][migrate] migrations must be an array of {name, migrate} objects!`);
+		}
+		let dir = this.options.dir;
+		await this.ensureDirectory(dir);
+		let manifest = await this._readManifest(dir);
+		let layout = manifest ? manifest.layout : await this._detectLayout(dir);
+		let applied = manifest && Array.isArray(manifest.migrations) ? manifest.migrations : [];
+		if (!this._initialized) {
+			await this._deriveEncryptionKeys(manifest);
+		}
+		let result = {from: layout, to: currentLayout, applied: []};
+		if (layout > currentLayout) {
+			throw new Error(`[node-persist][migrate] ${dir} was written by a newer node-persist, ${manifest.version}!`);
+		}
+		for (; layout < currentLayout; layout++) {
+			await layoutMigrations[layout].call(this, dir, options);
+			await this._writeManifest(dir, layout + 1, applied);
+			this.log(`upgraded ${dir} to layout ${layout + 1}`);
+		}
+		if (!this._initialized) {
+			await this.init();
+		}
+		for (let migration of migrations) {
+			if (applied.indexOf(migration.name) !== -1) {
+				continue;
+			}
+			await this._migrateValues(migration);
+			applied = applied.concat(migration.name);
+			await this._writeManifest(dir, currentLayout, applied);
+			result.applied.push(migration.name);
+			this.log(`ran the ${migration.name} migration on ${dir}`);
+		}
+		return result;
 	},
 
-	readFile: function (file, options = {}) {
-		return new Promise((resolve, reject) => {
-			fs.readFile(file, this.options.encoding, (err, text) => {
-				if (err) {
-					/* Only throw the error if the error is something else other than the file doesn't exist */
-					if (err.code === 'ENOENT') {
-						this.log(`${file} does not exist, returning undefined value`);
-						resolve(options.raw ? '{}' : {});
-					} else {
-						return reject(err);
-					}
+	_migrateValues: async function (migration) {
+		for (let key of await this._keys()) {
+			await this._enqueue(key, async () => {
+				let datum = await this._getDatum(key);
+				if (!isLive(datum)) {
+					return;
 				}
-				let input = options.raw ? text : this.parse(text);
-				if (!options.raw && !isValidStorageFileContent(input)) {
-					return this.options.forgiveParseErrors ? resolve(options.raw ? '{}' : {}) : reject(new Error(`[node-persist][readFile] ${file} does not look like a valid storage file!`));
+				let value = await migration.migrate(this.copy(datum.value), key);
+				if (value === undefined) {
+					return this._deleteDatum(key, datum, 'remove');
 				}
-				resolve(input);
+				return this._writeDatum(key, this.copy(value), datum.ttl, datum, 'update');
 			});
-		});
+		}
 	},
 
-	writeFile: function (file, content) {
-		return new Promise((resolve, reject) => {
-			fs.writeFile(file, this.stringify(content), this.options.encoding, (err) => {
-				if (err) {
-					return reject(err);
-				}
-				resolve({file: file, content: content});
-				this.log('wrote: ' + file);
-			});
-		});
+	_checkManifest: async function (dir) {
+		let manifest = await this._readManifest(dir);
+		let layout = manifest ? manifest.layout : await this._detectLayout(dir);
+		let serializer = serializerName(this.options);
+		if (layout > currentLayout) {
+			throw new Error(`[node-persist][init] ${dir} was written by a newer node-persist, ${manifest.version}!`);
+		}
+		if (layout < currentLayout) {
+			throw new Error(`[node-persist][init] ${dir} has the layout of an older node-persist, upgrade it with migrate()!`);
+		}
+		if (manifest && manifest.keyHash !== keyHash) {
+			throw new Error(`[node-persist][init] ${dir} names its files with ${manifest.keyHash}, not ${keyHash}!`);
+		}
+		// the structured serializer reads plain JSON too, but not the other way around
+		if (manifest && manifest.serializer !== serializer && !(manifest.serializer === 'json' && serializer === 'structured')) {
+			throw new Error(`[node-persist][init] ${dir} was written with the ${manifest.serializer} serializer, not the ${serializer} one!`);
+		}
+		let migrations = manifest && Array.isArray(manifest.migrations) ? manifest.migrations : [];
+		await this._deriveEncryptionKeys(manifest);
+		if ((manifest && manifest.shardDepth || 0) !== this.options.shardDepth || (manifest && manifest.relayout)) {
+			await this._relayout(dir, migrations);
+		} else if (!manifest || manifest.version !== pkg.version || manifest.serializer !== serializer || !manifest.salt) {
+			await this._writeManifest(dir, layout, migrations);
+		}
 	},
 
-	deleteFile: function (file) {
-		return new Promise((resolve, reject) => {
-			fs.exists(file, (exists) => {
-				if (exists) {
-					this.log(`Removing file:${file}`);
-					fs.unlink(file, (err) => {
-						/* Only throw the error if the error is something else */
-						if (err && err.code !== 'ENOENT') {
-							return reject(err);
-						}
-						let result = {file: file, removed: !err, existed: exists};
-						err && this.log(`Failed to remove file:${file} because it doesn't exist anymore.`);
-						resolve(result);
-					});
-				} else {
-					this.log(`Not removing file:${file} because it doesn't exist`);
-					let result = {file: file, removed: false, existed: exists};
-					resolve(result);
+	/* until it's done the manifest says so, an interrupted relayout carries on on the next init */
+	_relayout: async function (dir, migrations) {
+		await this._writeManifest(dir, currentLayout, migrations, {relayout: true});
+		let moved = 0;
+		let walk = async (current) => {
+			let entries = await this.options.adapter.readDirectory(current);
+			// a namespace named like a shard directory, it has its own manifest
+			if (current !== dir && entries.some(entry => entry.name === manifestFileName)) {
+				return false;
+			}
+			let empty = true;
+			for (let entry of entries) {
+				let file = path.join(current, entry.name);
+				if (entry.directory && isShardName(entry.name) && await walk(file)) {
+					isFunction(this.options.adapter.deleteDirectory) && await this.options.adapter.deleteDirectory(file);
+					continue;
 				}
-			});
-		});
+				let target = entry.directory || !isDatumFileName(entry.name) ? null : path.join(dir, shardPath(entry.name, this.options.shardDepth));
+				if (target && target !== file) {
+					await this._moveFile(file, target);
+					moved++;
+					continue;
+				}
+				empty = false;
+			}
+			return empty;
+		};
+		await walk(dir);
+		this._shardDirectories.clear();
+		await this._writeManifest(dir, currentLayout, migrations);
+		this.log(`moved ${moved} files of ${dir} to a shardDepth of ${this.options.shardDepth}`);
 	},
 
-	stringify: function (obj) {
-		return this.options.stringify(obj);
+	_moveFile: async function (from, to) {
+		await this._ensureShardDirectory(path.dirname(to));
+		if (isFunction(this.options.adapter.rename)) {
+			try {
+				return await this.options.adapter.rename(from, to);
+			} catch (err) {
+				if (err.code !== 'EXDEV') {
+					throw err;
+				}
+			}
+		}
+		await this.options.adapter.writeFile(to, await this.options.adapter.readFile(from));
+		await this.options.adapter.deleteFile(from);
+	},
+
+	_detectLayout: async function (dir) {
+		let files = await this._listFiles(dir);
+		if (files.some(isDatumFileName)) {
+			return currentLayout;
+		}
+		for (let name of files) {
+			if (legacyKeyOf(name) === undefined) {
+				continue;
+			}
+			if (await this._readLegacyValue(path.join(dir, name)) !== undefined) {
+				return 1;
+			}
+			this.log(`${path.join(dir, name)} does not look like a valid 1.x storage file, leaving it as is`);
+		}
+		return currentLayout;
+	},
+
+	/* the value of a 1.x file, undefined if it can't be one, any name that's valid base64 isn't enough to tell */
+	_readLegacyValue: async function (file) {
+		try {
+			return this.parse(await this.readFile(file, {raw: true}));
+		} catch (err) {
+			return undefined;
+		}
+	},
+
+	/* the manifest is plain JSON, whatever the serializer or the encryption, so any version can read it */
+	_readManifest: async function (dir) {
+		let file = path.join(dir, manifestFileName);
+		let data;
+		try {
+			data = await this.options.adapter.readFile(file);
+		} catch (err) {
+			if (err.code === 'ENOENT') {
+				return null;
+			}
+			throw err;
+		}
+		let manifest;
+		try {
+			manifest = JSON.parse(data.toString('utf8'));
+		} catch (err) {
+		}
+		if (!manifest || !isNumber(manifest.layout)) {
+			throw new Error(`[node-persist][readManifest] ${file} is not a valid manifest!`);
+		}
+		return manifest;
+	},
+
+	_writeManifest: function (dir, layout, migrations, extra) {
+		let manifest = Object.assign({version: pkg.version, layout: layout, keyHash: keyHash, serializer: serializerName(this.options), shardDepth: this.options.shardDepth, migrations: migrations}, extra);
+		if (this._salt) {
+			manifest.salt = this._salt.toString('hex');
+		}
+		return this.options.adapter.writeFile(path.join(dir, manifestFileName), Buffer.from(JSON.stringify(manifest, null, 2)));
+	},
+
+	_writeDatum: function (key, value, ttl, previousDatum, event, sliding) {
+		return this._storeDatum(key, this._nextDatum(key, value, ttl, previousDatum, sliding), previousDatum, event);
+	},
+
+	/* the checksum of a datum, written along with it, so verify() can tell a file that got altered, or mixed up with another */
+	_checksum: function (key, value) {
+		return md5(this.stringify([key, value]));
+	},
+
+	_nextDatum: function (key, value, ttl, previousDatum, sliding) {
+		let rev = previousDatum && previousDatum.rev ? previousDatum.rev + 1 : 1;
+		let datum = {key: key, value: value, ttl: ttl, rev: rev, sum: this._checksum(key, value)};
+		if (ttl && sliding) {
+			datum.sliding = sliding;
+		}
+		// a write is an access too, the hits carry on, the ones since the last write might only be known in memory
+		if (this._usage) {
+			let usage = this._usage.get(key);
+			datum.atime = Date.now();
+			datum.hits = Math.max(usage ? usage.hits : 0, isLive(previousDatum) && previousDatum.hits || 0);
+		}
+		return datum;
+	},
+
+	_storeDatum: async function (key, datum, previousDatum, event, options = {}) {
+		let ttl = datum.ttl;
+		let result;
+		if (options.archive !== false) {
+			await this._archiveDatum(key, previousDatum);
+		}
+		try {
+			result = await this.writeFile(this.getDatumPath(key), datum);
+		} finally {
+			// even a failed write might have replaced the file
+			this._cache && this._cache.delete(String(key));
+		}
+		this._indexPut(key, {file: this._fileName(result.file), ttl: ttl, size: result.size, mtime: result.mtime});
+		this._valueIndexesPut(key, datum.value, {file: this._fileName(result.file), size: result.size, mtime: result.mtime});
+		this._expirySet(key, ttl);
+		this._usagePut(key, result.size, datum);
+		this._cache && this._cache.set(String(key), this.copy(datum), Buffer.byteLength(this.stringify(datum)));
+		event && this._emitChange(event, key, datum.value, previousDatum);
+		await this._evict();
+		return result;
+	},
+
+	_deleteDatum: async function (key, previousDatum, event) {
+		let result;
+		await this._archiveDatum(key, previousDatum);
+		try {
+			result = await this.deleteFile(this.getDatumPath(key));
+		} finally {
+			this._cache && this._cache.delete(String(key));
+		}
+		this._indexDelete(key);
+		this._valueIndexesDelete(key);
+		this._expiryDelete(key);
+		this._usageDelete(key);
+		result.existed && event && this._emitChange(event, key, undefined, previousDatum);
+		return result;
+	},
+
+	/* the versions get their own numbers, revisions start over once a key is removed */
+	_archiveDatum: async function (key, previousDatum) {
+		if (!this.options.history || !isValidStorageFileContent(previousDatum)) {
+			return;
+		}
+		let maxVersions = (this.options.history === true ? defaultHistoryOptions : this.options.history).maxVersions || defaultHistoryOptions.maxVersions;
+		let versions = await this._readHistory(key);
+		let version = versions.length ? versions[0].version + 1 : 1;
+		versions.unshift({version: version, archivedAt: Date.now(), datum: previousDatum});
+		await this.writeFile(this._historyPath(key), {key: key, versions: versions.slice(0, maxVersions)});
+	},
+
+	_readHistory: async function (key) {
+		let history = this.parse(await this.readFile(this._historyPath(key), {raw: true}));
+		return history && Array.isArray(history.versions) ? history.versions : [];
+	},
+
+	_historyDir: function () {
+		return path.join(this.options.dir, historyDirName);
+	},
+
+	_historyPath: function (key) {
+		return path.join(this._historyDir(), md5(key));
+	},
+
+	getHistory: async function (key) {
+		let versions = await this._readHistory(key);
+		return versions.map(version => ({version: version.version, value: version.datum.value, ttl: version.datum.ttl, archivedAt: version.archivedAt}));
+	},
+
+	restore: function (key, version) {
+		return this._enqueue(key, async () => {
+			let archived = (await this._readHistory(key)).find(current => current.version === version);
+			if (!archived) {
+				throw new Error(`[node-persist][restore] ${key} has no version ${version}!`);
+			}
+			let previousDatum = await this._getPreviousDatum(key);
+			let ttl = isExpired(archived.datum) ? this.calcTTL() : archived.datum.ttl;
+			await this._writeDatum(key, archived.datum.value, ttl, previousDatum, isLive(previousDatum) ? 'update' : 'set');
+			return archived.datum.value;
+		});
+	},
+
+	/* listeners get their own copies of the values, so they can't change what other listeners or the cache see */
+	_emitChange: function (event, key, value, previousDatum, external) {
+		if (!this.listenerCount(event)) {
+			return;
+		}
+		let change = {key: key, value: this.copy(value), oldValue: isLive(previousDatum) || event === 'expire' ? this.copy(previousDatum.value) : undefined};
+		if (external) {
+			change.external = true;
+		}
+		this.emit(event, change);
+	},
+
+	_getPreviousDatum: async function (key) {
+		try {
+			return await this._getDatum(key);
+		} catch (err) {
+			this.log(`Could not read the previous datum of ${key}, overwriting it`);
+			return {};
+		}
+	},
+
+	_nextTTL: function (previousDatum, options) {
+		if (isLive(previousDatum) && !options.ttl) {
+			return previousDatum.sliding ? Date.now() + previousDatum.sliding : previousDatum.ttl;
+		}
+		return this.calcTTL(options.ttl);
+	},
+
+	_nextSliding: function (previousDatum, options) {
+		if (options.sliding) {
+			return this._slidingTTL(options.ttl);
+		}
+		return isLive(previousDatum) && !options.ttl ? previousDatum.sliding : undefined;
+	},
+
+	_slidingTTL: function (ttl) {
+		if (typeof ttl === 'undefined') {
+			ttl = this.options.ttl;
+		}
+		if (!ttl) {
+			return undefined;
+		}
+		if (isDate(ttl)) {
+			return isFutureDate(ttl) ? ttl.getTime() - Date.now() : defaultTTL;
+		}
+		return isNumber(ttl) && ttl > 0 ? Number(ttl) : defaultTTL;
+	},
+
+	/* read again once it's the key's turn, it might have been set again since it was seen expired, i.e. by another process */
+	_removeIfExpired: function (key) {
+		return this._enqueue(key, async () => {
+			let datum = await this._getDatum(key);
+			if (isExpired(datum)) {
+				return this._deleteDatum(key, datum, 'expire');
+			}
+			if (isLive(datum)) {
+				this._expirySet(key, datum.ttl);
+			}
+		});
+	},
+
+	/* the keys written while it's built are left alone, their writes already scheduled them */
+	_expirySchedule: function () {
+		if (!this._expiry) {
+			let schedule = ExpiryHeap();
+			schedule.touched = new Set();
+			this._expiry = schedule;
+			this._expiryFiles = new Map();
+			this._expiryReconciledAt = Date.now();
+			this._expiryReady = (async () => {
+				if (this._index) {
+					for (let entry of this._index.values()) {
+						schedule.touched.has(entry.key) || schedule.set(entry.key, entry.ttl);
+					}
+				} else {
+					await this._reconcileExpiry(schedule);
+				}
+				schedule.touched = null;
+				return schedule;
+			})();
+			this._expiryReady.catch(() => {
+				if (this._expiry === schedule) {
+					this._expiry = null;
+				}
+			});
+		}
+		return this._expiryReady;
+	},
+
+	/* like _loadIndex, only the files whose mtime or size changed since they were last read, or the index entry written, are read */
+	_reconcileExpiry: async function (schedule) {
+		let dir = this.options.dir;
+		let unchanged = (known, stats) => known && known.mtime === stats.mtime && known.size === stats.size;
+		let files = new Map();
+		for (let currentFile of await this._listFiles(dir, this.options.shardDepth)) {
+			let file = path.join(dir, currentFile);
+			let stats, datum;
+			try {
+				stats = await this.options.adapter.stat(file);
+				if (unchanged(this._expiryFiles.get(currentFile), stats) || unchanged(this._indexByFile && this._indexByFile.get(currentFile), stats)) {
+					files.set(currentFile, stats);
+					continue;
+				}
+				datum = await this.readFile(file);
+			} catch (err) {
+				// a file that can't be read can't be removed once expired either
+				this.log(`Could not read ${currentFile} to schedule its expiry`, err.message);
+				continue;
+			}
+			files.set(currentFile, stats);
+			if (isValidStorageFileContent(datum) && !schedule.touched.has(datum.key)) {
+				schedule.set(datum.key, datum.ttl);
+			}
+		}
+		this._expiryFiles = files;
+	},
+
+	_nextExpiry: function () {
+		let next = this._expiry ? this._expiry.peek() : undefined;
+		for (let namespace of this._namespaceStorages) {
+			let nested = namespace._nextExpiry();
+			if (nested !== undefined && (next === undefined || nested < next)) {
+				next = nested;
+			}
+		}
+		return next;
+	},
+
+	_expirySet: function (key, ttl) {
+		if (!this._expiry) {
+			return;
+		}
+		this._expiry.touched && this._expiry.touched.add(key);
+		this._expiry.set(key, ttl);
+		this._scheduleExpiredKeysTimeout();
+	},
+
+	_expiryDelete: function (key) {
+		if (!this._expiry) {
+			return;
+		}
+		this._expiry.touched && this._expiry.touched.add(key);
+		this._expiry.delete(key);
+	},
+
+	/* each entry remembers the mtime of its file, so only the files changed since the index was saved, i.e. before a crash, are read again */
+	_loadIndex: async function (dir) {
+		let indexFile = path.join(dir, indexFileName);
+		let saved = this.parse(await this.readFile(indexFile, {raw: true}));
+		let savedEntries = new Map();
+		if (saved && Array.isArray(saved.entries)) {
+			for (let [key, file, ttl, size, mtime] of saved.entries) {
+				savedEntries.set(file, {key: key, file: file, ttl: ttl == null ? undefined : ttl, size: size, mtime: mtime});
+			}
+		}
+		let index = new Map();
+		let changed = false;
+		for (let currentFile of await this._listFiles(dir, this.options.shardDepth)) {
+			let file = path.join(dir, currentFile);
+			let stats;
+			try {
+				stats = await this.options.adapter.stat(file);
+			} catch (err) {
+				if (err.code === 'ENOENT') {
+					continue;
+				}
+				throw err;
+			}
+			let entry = savedEntries.get(currentFile);
+			if (!entry || entry.mtime !== stats.mtime || entry.size !== stats.size) {
+				let datum = await this.readFile(file);
+				changed = true;
+				if (!isValidStorageFileContent(datum)) {
+					continue;
+				}
+				entry = {key: datum.key, file: currentFile, ttl: datum.ttl, size: stats.size, mtime: stats.mtime};
+			}
+			index.set(entry.key, entry);
+		}
+		this._indexFile = indexFile;
+		this._sortedKeys = null;
+		this._indexByFile = new Map();
+		for (let entry of index.values()) {
+			this._indexByFile.set(entry.file, entry);
+		}
+		if (changed || index.size !== savedEntries.size) {
+			this.log(`rebuilt the index of ${dir}`);
+			this._scheduleIndexFlush();
+		}
+		return index;
+	},
+
+	_indexPut: function (key, entry) {
+		if (this._index) {
+			entry.key = key;
+			let previous = this._index.get(key);
+			if (!previous) {
+				this._sortedKeys = null;
+			} else if (previous.file !== entry.file) {
+				this._indexByFile.delete(previous.file);
+			}
+			this._index.set(key, entry);
+			this._indexByFile.set(entry.file, entry);
+			this._scheduleIndexFlush();
+		}
+	},
+
+	_indexDelete: function (key) {
+		let entry = this._index && this._index.get(key);
+		if (entry) {
+			this._index.delete(key);
+			this._sortedKeys = null;
+			this._indexByFile.delete(entry.file);
+			this._scheduleIndexFlush();
+		}
+	},
+
+	_scheduleIndexFlush: function () {
+		if (this._indexFlushTimeout) {
+			return;
+		}
+		this._indexFlushTimeout = setTimeout(() => {
+			this._flushIndex().catch(err => this.log(`Failed to write the index:${this._indexFile}`, err));
+		}, indexFlushDelay);
+		this._indexFlushTimeout.unref && this._indexFlushTimeout.unref();
+	},
+
+	/* flushes are chained, so an older snapshot of the index can never land after a newer one */
+	_flushIndex: function () {
+		if (!this._indexFlushTimeout) {
+			// a failed write was already reported by whoever started it
+			return (this._indexWriting || Promise.resolve()).catch(() => {});
+		}
+		clearTimeout(this._indexFlushTimeout);
+		this._indexFlushTimeout = null;
+		let index = this._index;
+		let indexFile = this._indexFile;
+		this._indexWriting = (this._indexWriting || Promise.resolve()).catch(() => {}).then(() => {
+			let entries = [];
+			for (let entry of index.values()) {
+				entries.push([entry.key, entry.file, entry.ttl, entry.size, entry.mtime]);
+			}
+			return this.writeFile(indexFile, {version: 1, entries: entries});
+		});
+		return this._indexWriting;
+	},
+
+	/* key -> {key, size, atime, hits, ttl}, in the order the items were last used */
+	_loadUsage: async function (dir) {
+		let entries = [];
+		for (let currentFile of await this._listFiles(dir, this.options.shardDepth)) {
+			let file = path.join(dir, currentFile);
+			let stats;
+			let datum;
+			try {
+				stats = await this.options.adapter.stat(file);
+				datum = await this.readFile(file);
+			} catch (err) {
+				// a file that can't be read can't be evicted either
+				this.log(`Could not read ${currentFile} to track its usage`, err.message);
+				continue;
+			}
+			if (isValidStorageFileContent(datum)) {
+				entries.push({key: datum.key, size: stats.size, atime: datum.atime || 0, hits: datum.hits || 0, ttl: datum.ttl});
+			}
+		}
+		entries.sort((a, b) => a.atime - b.atime);
+		let usage = new Map();
+		this._usageBytes = 0;
+		for (let entry of entries) {
+			usage.set(entry.key, entry);
+			this._usageBytes += entry.size;
+		}
+		return usage;
+	},
+
+	_usagePut: function (key, size, datum) {
+		if (!this._usage) {
+			return;
+		}
+		let entry = this._usage.get(key);
+		this._usageDelete(key);
+		this._usage.set(key, {key: key, size: size, atime: datum.atime || Date.now(), hits: Math.max(datum.hits || 0, entry ? entry.hits : 0), ttl: datum.ttl});
+		this._usageBytes += size;
+	},
+
+	_usageDelete: function (key) {
+		let entry = this._usage && this._usage.get(key);
+		if (entry) {
+			this._usage.delete(key);
+			this._usageBytes -= entry.size;
+		}
+	},
+
+	_usageAccess: function (key) {
+		let entry = this._usage && this._usage.get(key);
+		if (entry) {
+			entry.atime = Date.now();
+			entry.hits++;
+			this._usage.delete(key);
+			this._usage.set(key, entry);
+		}
+		return entry;
+	},
+
+	/* only the keys nothing is queued on are evicted, so a key is never evicted while it's written, nor waits on a write that waits on it */
+	_evict: function () {
+		if (!this._usage) {
+			return Promise.resolve();
+		}
+		let maxItems = this.options.maxItems || Infinity;
+		let maxBytes = this.options.maxBytes || Infinity;
+		let count = this._usage.size;
+		let bytes = this._usageBytes;
+		let chosen = new Set();
+		let evictions = [];
+		while (count > maxItems || bytes > maxBytes) {
+			let victim = this._pickVictim(chosen);
+			if (!victim) {
+				break;
+			}
+			chosen.add(victim.key);
+			count--;
+			bytes -= victim.size;
+			evictions.push(this._enqueue(victim.key, async () => {
+				let datum = await this._getPreviousDatum(victim.key);
+				this.log(`evicted ${victim.key}, the storage is over its quota`);
+				return this._deleteDatum(victim.key, datum, 'evict');
+			}));
+		}
+		return Promise.all(evictions);
+	},
+
+	_pickVictim: function (chosen) {
+		let order = evictionOrders[this.options.eviction];
+		let victim = null;
+		for (let entry of this._usage.values()) {
+			if (chosen.has(entry.key) || this._queues.has(String(entry.key))) {
+				continue;
+			}
+			if (!order) {
+				return entry;
+			}
+			if (!victim || order(entry, victim) < 0) {
+				victim = entry;
+			}
+		}
+		return victim;
+	},
+
+	/* the keys changed while it's built are left alone, their writes already indexed them */
+	defineIndex: function (name, fn) {
+		if (typeof name !== 'string' || !/^[\w-]+$/.test(name) || !isFunction(fn)) {
+			return Promise.reject(new Error(`[node-persist][defineIndex] an index needs a name, made of letters, digits, _ or -, and a function!`));
+		}
+		let index = ValueIndex(name, fn);
+		index.touched = new Set();
+		index.ready = this._buildValueIndex(index).then(() => {
+			index.touched = null;
+		});
+		index.ready.catch(() => {
+			if (this._valueIndexes.get(name) === index) {
+				this._valueIndexes.delete(name);
+			}
+		});
+		this._valueIndexes.set(name, index);
+		return index.ready;
+	},
+
+	find: async function (query = {}) {
+		let index = this._valueIndexes.get(query.index);
+		if (!index) {
+			throw new Error(`[node-persist][find] ${query.index} is not a defined index!`);
+		}
+		await index.ready;
+		let keys = query.hasOwnProperty('equals') ? index.equals(query.equals) : index.range(query);
+		let data = [];
+		for (let key of keys) {
+			if (query.limit && data.length >= query.limit) {
+				break;
+			}
+			let datum = await this._getDatum(key);
+			if (isLive(datum)) {
+				data.push({key: datum.key, value: datum.value, ttl: datum.ttl});
+			}
+		}
+		return data;
+	},
+
+	_buildValueIndex: async function (index) {
+		let dir = this.options.dir;
+		let saved;
+		try {
+			saved = this.parse(await this.readFile(this._valueIndexPath(index.name), {raw: true}));
+		} catch (err) {
+			this.log(`Could not read the ${index.name} index, rebuilding it`, err);
+		}
+		let savedEntries = new Map();
+		if (saved && saved.fingerprint === index.fingerprint && Array.isArray(saved.entries)) {
+			for (let [key, value, file, size, mtime] of saved.entries) {
+				savedEntries.set(file, {key: key, value: value == null ? undefined : value, size: size, mtime: mtime});
+			}
+		}
+		let changed = false;
+		for (let currentFile of await this._listFiles(dir, this.options.shardDepth)) {
+			let stats;
+			try {
+				stats = await this.options.adapter.stat(path.join(dir, currentFile));
+			} catch (err) {
+				if (err.code === 'ENOENT') {
+					continue;
+				}
+				throw err;
+			}
+			let entry = savedEntries.get(currentFile);
+			if (!entry || entry.mtime !== stats.mtime || entry.size !== stats.size) {
+				let datum = await this.readFile(path.join(dir, currentFile));
+				changed = true;
+				if (!isValidStorageFileContent(datum)) {
+					continue;
+				}
+				entry = {key: datum.key, value: index.compute(datum.value, datum.key)};
+			}
+			if (!index.touched.has(entry.key)) {
+				index.put(entry.key, entry.value, {file: currentFile, size: stats.size, mtime: stats.mtime});
+			}
+		}
+		if (changed || index.entries.size !== savedEntries.size) {
+			this.log(`rebuilt the ${index.name} index of ${dir}`);
+			this._scheduleValueIndexFlush(index);
+		}
+	},
+
+	_valueIndexPath: function (name) {
+		return path.join(this.options.dir, valueIndexFileName(name));
+	},
+
+	_valueIndexesPut: function (key, value, entry) {
+		for (let index of this._valueIndexes.values()) {
+			index.touched && index.touched.add(key);
+			index.put(key, index.compute(value, key), entry);
+			this._scheduleValueIndexFlush(index);
+		}
+	},
+
+	_valueIndexesDelete: function (key) {
+		for (let index of this._valueIndexes.values()) {
+			index.touched && index.touched.add(key);
+			index.delete(key);
+			this._scheduleValueIndexFlush(index);
+		}
+	},
+
+	_scheduleValueIndexFlush: function (index) {
+		if (index.flushTimeout) {
+			return;
+		}
+		index.flushTimeout = setTimeout(() => {
+			this._flushValueIndex(index).catch(err => this.log(`Failed to write the ${index.name} index`, err));
+		}, indexFlushDelay);
+		index.flushTimeout.unref && index.flushTimeout.unref();
+	},
+
+	/* chained just like _flushIndex */
+	_flushValueIndex: function (index) {
+		if (!index.flushTimeout) {
+			return (index.writing || Promise.resolve()).catch(() => {});
+		}
+		clearTimeout(index.flushTimeout);
+		index.flushTimeout = null;
+		index.writing = (index.writing || Promise.resolve()).catch(() => {}).then(() => {
+			return this.writeFile(this._valueIndexPath(index.name), index.toJSON());
+		});
+		return index.writing;
+	},
+
+	/* the final state of every key is written to a journal first, if the process dies while applying it, init() replays it */
+	batch: function (operations, options = {}) {
+		if (!Array.isArray(operations)) {
+			return Promise.reject(new Error(`[node-persist][batch] operations must be an array!`));
+		}
+		let prepared = [];
+		for (let operation of operations) {
+			if (!operation || (operation.op !== 'set' && operation.op !== 'remove')) {
+				return Promise.reject(new Error(`[node-persist][batch] ${operation && operation.op} is not a valid operation, use set or remove!`));
+			}
+			if (operation.key == null) {
+				return Promise.reject(new Error(`[node-persist][batch] every operation needs a key!`));
+			}
+			prepared.push(operation.op === 'set' ?
+				{op: 'set', key: operation.key, value: this.copy(operation.value), ttl: this.calcTTL(operation.ttl)} :
+				{op: 'remove', key: operation.key});
+		}
+		let keys = prepared.map(operation => operation.key);
+		return this._enqueueMany(keys, async () => {
+			let previousData = new Map();
+			for (let key of keys) {
+				if (!previousData.has(key)) {
+					previousData.set(key, await this._getPreviousDatum(key));
+				}
+			}
+			// only the last operation of a key matters, its revision carries on from the previous ones though
+			let finalData = new Map();
+			for (let operation of prepared) {
+				let previousDatum = finalData.get(operation.key) || previousData.get(operation.key);
+				finalData.set(operation.key, operation.op === 'set' ? this._nextDatum(operation.key, operation.value, operation.ttl, previousDatum) : null);
+			}
+			let journal = await this._writeJournal(finalData);
+			let applied = [];
+			try {
+				for (let [key, datum] of finalData) {
+					// even a failed write might have replaced the file, it's rolled back too
+					applied.push(key);
+					// archived once they're all written, a batch that's rolled back leaves no history
+					if (datum) {
+						await this._storeDatum(key, datum, previousData.get(key), null, {archive: false});
+					} else {
+						await this._deleteDatum(key);
+					}
+				}
+			} catch (err) {
+				await this._rollBackBatch(applied, previousData);
+				// or init() would replay it over whatever gets written next
+				await this.deleteFile(journal);
+				throw err;
+			}
+			await this.deleteFile(journal);
+			for (let key of finalData.keys()) {
+				await this._archiveDatum(key, previousData.get(key));
+			}
+			for (let [key, datum] of finalData) {
+				let previousDatum = previousData.get(key);
+				if (datum) {
+					this._emitChange(isLive(previousDatum) ? 'update' : 'set', key, datum.value, previousDatum);
+				} else if (isValidStorageFileContent(previousDatum)) {
+					this._emitChange('remove', key, undefined, previousDatum);
+				}
+			}
+		});
+	},
+
+	_rollBackBatch: async function (keys, previousData) {
+		for (let key of keys.reverse()) {
+			let previousDatum = previousData.get(key);
+			try {
+				if (isValidStorageFileContent(previousDatum)) {
+					await this._storeDatum(key, previousDatum, undefined, undefined, {archive: false});
+				} else {
+					await this._deleteDatum(key);
+				}
+			} catch (err) {
+				this.log(`Could not roll back ${key} after the batch failed`, err.message);
+			}
+		}
+	},
+
+	_writeJournal: async function (finalData) {
+		let dir = this.options.dir;
+		let file = path.join(dir, `.node-persist-journal.${process.pid}.${crypto.randomBytes(6).toString('hex')}.json`);
+		let operations = [];
+		for (let [key, datum] of finalData) {
+			operations.push({file: path.relative(dir, this.getDatumPath(key)), datum: datum});
+		}
+		await this.writeFile(file, {version: 1, operations: operations});
+		return file;
+	},
+
+	/*
+	 * a journal is written atomically, so if it's there and valid, it's complete and its batch is replayed.
+	 * Otherwise nothing of its batch was applied, it's rolled back by removing it
+	 */
+	_replayJournals: async function (dir) {
+		let entries = await this.options.adapter.readDirectory(dir);
+		for (let entry of entries) {
+			let match = journalFileRegex.exec(entry.name);
+			if (!match) {
+				continue;
+			}
+			let pid = parseInt(match[1], 10);
+			if (pid !== process.pid && isProcessAlive(pid)) {
+				continue;
+			}
+			let file = path.join(dir, entry.name);
+			let journal = this.parse(await this.readFile(file, {raw: true}));
+			if (journal && Array.isArray(journal.operations)) {
+				for (let operation of journal.operations) {
+					// the journal might have been written with another shardDepth, the name of the file is all that counts
+					let datumFile = path.join(dir, shardPath(path.basename(operation.file), this.options.shardDepth));
+					if (operation.datum) {
+						await this.writeFile(datumFile, operation.datum);
+					} else {
+						await this.deleteFile(datumFile);
+					}
+				}
+				this.log(`replayed the journal:${file}`);
+			} else {
+				this.log(`rolled back the invalid journal:${file}`);
+			}
+			await this.deleteFile(file);
+		}
+	},
+
+	/* like _enqueue, but fn only runs once it's the turn of every one of the keys */
+	_enqueueMany: function (keys, fn) {
+		let release;
+		let released = new Promise(resolve => release = resolve);
+		let acquired = Array.from(new Set(keys.map(String))).map(key => new Promise(resolve => {
+			this._enqueue(key, () => {
+				resolve();
+				return released;
+			});
+		}));
+		let current = Promise.all(acquired).then(() => fn());
+		current.then(release, release);
+		return current;
+	},
+
+	/*
+	 * run fn once every operation previously queued on the same key has settled,
+	 * so mutations on one key happen in the order they were issued, while different keys still run in parallel.
+	 * The queues are this instance's, the other instances sharing dir don't wait for them
+	 */
+	_enqueue: function (key, fn) {
+		let queueKey = String(key);
+		let previous = this._queues.get(queueKey) || Promise.resolve();
+		let current = previous.then(() => fn());
+		// a failed operation should not block the ones queued after it
+		let tail = current.catch(() => {});
+		this._queues.set(queueKey, tail);
+		tail.then(() => {
+			if (this._queues.get(queueKey) === tail) {
+				this._queues.delete(queueKey);
+			}
+		});
+		return current;
+	},
+
+	namespace: function (name, options = {}) {
+		// a shard directory isn't a namespace
+		if (!isValidNamespace(name) || (this.options.shardDepth && isShardName(name))) {
+			return Promise.reject(new Error(`[node-persist][namespace] ${name} is not a valid namespace name!`));
+		}
+		if (!this._namespaces.has(name)) {
+			let namespace = new LocalStorage(Object.assign({}, this.options, {
+				logging: this.options.logging ? this.log : false
+			}, options, {
+				dir: path.join(this.options.dir, name),
+				expiredInterval: false
+			}));
+			namespace._parent = this;
+			let ready = namespace.init().then(() => {
+				this._namespaceStorages.add(namespace);
+				this._scheduleExpiredKeysTimeout();
+				return namespace;
+			});
+			ready.catch(() => this._namespaces.delete(name));
+			this._namespaces.set(name, ready);
+			// a closed namespace is forgotten, the next namespace(name) opens it again
+			namespace._detach = () => {
+				namespace._parent = null;
+				this._namespaceStorages.delete(namespace);
+				this._namespaces.get(name) === ready && this._namespaces.delete(name);
+			};
+		}
+		return this._namespaces.get(name);
+	},
+
+	exportTo: async function (target, options = {}) {
+		let destination = typeof target === 'string' ? fs.createWriteStream(target) : target;
+		// a file we opened is always ended
+		let end = typeof target === 'string' || options.end !== false;
+		let gzip = isGzipSnapshot(target, options) ? zlib.createGzip() : null;
+		let output = gzip || destination;
+		let done;
+		if (gzip) {
+			gzip.pipe(destination, {end: end});
+			done = end ? finished(destination) : new Promise((resolve, reject) => gzip.on('end', resolve).on('error', reject));
+		} else {
+			done = end ? finished(destination) : Promise.resolve();
+		}
+		// it's awaited once everything is written, don't let an early error go unhandled meanwhile
+		done.catch(() => {});
+		let count = 0;
+		try {
+			for await (let datum of this._iterate({filter: isNotExpired})) {
+				if (!output.write(this.stringify({key: datum.key, value: datum.value, ttl: datum.ttl}) + '\n')) {
+					await drained(output);
+				}
+				count++;
+			}
+		} catch (err) {
+			// don't leak the file we opened, nor leave a truncated snapshot behind
+			gzip && gzip.destroy();
+			if (typeof target === 'string') {
+				let closed = destination.closed ? Promise.resolve() : new Promise(resolve => destination.once('close', resolve));
+				destination.destroy();
+				await closed;
+				await new Promise(resolve => fs.unlink(target, () => resolve()));
+			}
+			throw err;
+		}
+		if (gzip || end) {
+			output.end();
+		}
+		await done;
+		this.log(`exported ${count} items`);
+		return {count: count};
+	},
+
+	importFrom: async function (source, options = {}) {
+		let mode = options.mode || 'merge';
+		if (mode !== 'merge' && mode !== 'replace') {
+			throw new Error(`[node-persist][importFrom] ${mode} is not a valid mode, use merge or replace!`);
+		}
+		let forgiveParseErrors = options.forgiveParseErrors != null ? options.forgiveParseErrors : this.options.forgiveParseErrors;
+		let input = typeof source === 'string' ? fs.createReadStream(source) : source;
+		if (isGzipSnapshot(source, options)) {
+			let gunzip = zlib.createGunzip();
+			input.on('error', err => gunzip.emit('error', err));
+			input = input.pipe(gunzip);
+		}
+		let imported = new Set();
+		let result = {imported: 0, skipped: 0, invalid: 0};
+		let lineNumber = 0;
+		const importLine = async (line) => {
+			lineNumber++;
+			if (!line.trim()) {
+				return;
+			}
+			let record = this.parse(line);
+			if (!isValidStorageFileContent(record)) {
+				if (!forgiveParseErrors) {
+					throw new Error(`[node-persist][importFrom] line ${lineNumber} is not a valid record!`);
+				}
+				this.log(`skipping the invalid line ${lineNumber}`);
+				result.invalid++;
+				return;
+			}
+			if (isExpired(record)) {
+				result.skipped++;
+				return;
+			}
+			await this._setItem(record.key, record.value, {ttl: record.ttl ? new Date(record.ttl) : null});
+			imported.add(String(record.key));
+			result.imported++;
+		};
+		let decoder = new StringDecoder('utf8');
+		let rest = '';
+		for await (let chunk of input) {
+			let lines = (rest + decoder.write(chunk)).split('\n');
+			rest = lines.pop();
+			for (let line of lines) {
+				await importLine(line);
+			}
+		}
+		await importLine(rest + decoder.end());
+		if (mode === 'replace') {
+			for (let key of await this._keys()) {
+				if (!imported.has(String(key))) {
+					await this._removeItem(key);
+				}
+			}
+		}
+		this.log(`imported ${result.imported} items`);
+		return result;
+	},
+
+	verify: async function () {
+		let dir = this.options.dir;
+		let result = {files: 0, problems: []};
+		let problem = (file, type, message, key) => {
+			result.problems.push({file: this._fileName(file), problem: type, key: key, message: message});
+		};
+		let walk = async (current, depth) => {
+			for (let entry of await this.options.adapter.readDirectory(current)) {
+				let file = path.join(current, entry.name);
+				if (entry.name[0] === '.') {
+					continue;
+				}
+				if (entry.directory) {
+					// the others are namespaces
+					if (depth && isShardName(entry.name)) {
+						await walk(file, depth - 1);
+					}
+					continue;
+				}
+				if (depth || !isDatumFileName(entry.name)) {
+					problem(file, 'orphan', `${file} is not a storage file`);
+					continue;
+				}
+				result.files++;
+				let data;
+				try {
+					data = await this._decode(await this.options.adapter.readFile(file), file);
+				} catch (err) {
+					// removed since
+					if (err.code === 'ENOENT') {
+						result.files--;
+						continue;
+					}
+					problem(file, 'corrupt', err.message);
+					continue;
+				}
+				let datum = this.parse(data);
+				if (!isValidStorageFileContent(datum)) {
+					problem(file, 'unparsable', `${file} does not look like a valid storage file`);
+				} else if (this.getDatumPath(datum.key) !== file) {
+					problem(file, 'name', `${file} holds ${datum.key}, whose file is ${this.getDatumPath(datum.key)}`, datum.key);
+				} else if (datum.sum !== undefined && datum.sum !== this._checksum(datum.key, datum.value)) {
+					problem(file, 'checksum', `${file} does not match the checksum of ${datum.key}`, datum.key);
+				}
+			}
+		};
+		await walk(dir, this.options.shardDepth);
+		this.log(`verified ${result.files} files, found ${result.problems.length} problems`);
+		return result;
+	},
+
+	repair: async function (options = {}) {
+		let dir = this.options.dir;
+		let quarantineDir = options.quarantineDir ? resolveDir(options.quarantineDir) : path.join(dir, quarantineDirName);
+		let result = await this.verify();
+		result.moved = [];
+		let stamp = Date.now();
+		for (let {file, key} of result.problems) {
+			key = key !== undefined ? key : this._keyOfFile(file);
+			let from = path.join(dir, file);
+			// the same file might get quarantined again, after it's been restored
+			let to = path.join(quarantineDir, `${file}.${stamp}`);
+			let move = async () => {
+				await this.ensureDirectory(path.dirname(to));
+				await this._moveFile(from, to);
+				result.moved.push({file: file, to: to});
+				if (key !== undefined) {
+					await this._reloadKey(key, this.getDatumPath(key) === from);
+				}
+			};
+			await (key !== undefined ? this._enqueue(key, move) : move());
+		}
+		this.log(`moved ${result.moved.length} files to ${quarantineDir}`);
+		return result;
+	},
+
+	/* syncs what's known of a key with its file, once a file that might have been its own was moved out of the way */
+	_reloadKey: async function (key, removed) {
+		let file = this.getDatumPath(key);
+		let datum;
+		let stats;
+		try {
+			datum = await this.readFile(file);
+			stats = await this.options.adapter.stat(file);
+		} catch (err) {
+			datum = undefined;
+		}
+		this._cache && this._cache.delete(String(key));
+		if (!isValidStorageFileContent(datum)) {
+			this._indexDelete(key);
+			this._valueIndexesDelete(key);
+			this._expiryDelete(key);
+			this._usageDelete(key);
+			removed && this._emitChange('remove', key, undefined, undefined);
+			return;
+		}
+		this._indexPut(key, {file: this._fileName(file), ttl: datum.ttl, size: stats.size, mtime: stats.mtime});
+		this._valueIndexesPut(key, datum.value, {file: this._fileName(file), size: stats.size, mtime: stats.mtime});
+		this._usagePut(key, stats.size, datum);
+		this._expirySet(key, datum.ttl);
+	},
+
+	clear: async function (options = {}) {
+		let keys = await this._keys();
+		for (let key of keys) {
+			await this._enqueue(key, async () => this._deleteDatum(key, this.options.history ? await this._getPreviousDatum(key) : undefined));
+		}
+		if (this.options.history && options.purgeHistory) {
+			for (let currentFile of await this._listFiles(this._historyDir())) {
+				await this.deleteFile(path.join(this._historyDir(), currentFile));
+			}
+		}
+		this._cache && this._cache.clear();
+		this.emit('clear', {keys: keys});
+	},
+
+	/* everything below goes through options.adapter, see src/adapters/ for the contract */
+
+	ensureDirectory: async function (dir) {
+		let result = await this.options.adapter.ensureDirectory(dir);
+		if (result.created) {
+			this.log('created ' + dir);
+		}
+		return result;
+	},
+
+	readDirectory: async function (dir) {
+		let files;
+		try {
+			files = await this._listFiles(dir, this.options.shardDepth);
+		} catch (err) {
+			if (err.code === 'ENOENT') {
+				throw new Error(`[node-persist][readDirectory] ${dir} does not exists!`);
+			}
+			throw err;
+		}
+		let data = [];
+		for (let currentFile of files) {
+			data.push(await this.readFile(path.join(dir, currentFile)));
+		}
+		return data;
+	},
+
+	/* directories are the namespaces', with a depth the names are relative to dir, i.e. ab/cd/abcd... */
+	_listFiles: async function (dir, depth = 0) {
+		let entries = await this.options.adapter.readDirectory(dir);
+		if (!depth) {
+			return entries.filter(entry => entry.name[0] !== '.' && !entry.directory).map(entry => entry.name);
+		}
+		let files = [];
+		for (let entry of entries) {
+			if (entry.directory && isShardName(entry.name)) {
+				for (let name of await this._listFiles(path.join(dir, entry.name), depth - 1)) {
+					files.push(path.join(entry.name, name));
+				}
+			}
+		}
+		return files;
+	},
+
+	readFile: async function (file, options = {}) {
+		let data;
+		try {
+			data = await this.options.adapter.readFile(file);
+		} catch (err) {
+			/* Only throw the error if the error is something else other than the file doesn't exist */
+			if (err.code === 'ENOENT') {
+				this.log(`${file} does not exist, returning undefined value`);
+				return options.raw ? '{}' : {};
+			}
+			throw err;
+		}
+		let text;
+		try {
+			text = await this._decode(data, file);
+		} catch (err) {
+			if (this.options.forgiveParseErrors) {
+				this.log(err.message);
+				return options.raw ? '{}' : {};
+			}
+			throw err;
+		}
+		let input = options.raw ? text : this.parse(text);
+		if (!options.raw && !isValidStorageFileContent(input)) {
+			if (this.options.forgiveParseErrors) {
+				return {};
+			}
+			throw new Error(`[node-persist][readFile] ${file} does not look like a valid storage file!`);
+		}
+		return input;
+	},
+
+	writeFile: async function (file, content) {
+		let data = await this._encode(this.stringify(content));
+		let options;
+		if (this.options.shardDepth) {
+			await this._ensureShardDirectory(path.dirname(file));
+		}
+		if (path.dirname(file) !== this.options.dir) {
+			// in dir, where recover() looks for the temp files left behind, not in the shard or the history directories
+			options = {tempDir: this.options.dir};
+		}
+		this._rememberOwnWrite(file, data);
+		let result = await this.options.adapter.writeFile(file, data, options);
+		this.log('wrote: ' + file);
+		return {file: file, content: content, size: result.size, mtime: result.mtime};
+	},
+
+	_ensureShardDirectory: async function (dir) {
+		if (!this._shardDirectories.has(dir)) {
+			await this.options.adapter.ensureDirectory(dir);
+			this._shardDirectories.add(dir);
+		}
+	},
+
+	deleteFile: async function (file) {
+		this._rememberOwnWrite(file, null);
+		let result = await this.options.adapter.deleteFile(file);
+		if (result.existed) {
+			this.log(`Removed file:${file}`);
+		} else {
+			this.log(`Not removing file:${file} because it doesn't exist`);
+		}
+		return {file: file, removed: result.removed, existed: result.existed};
+	},
+
+	recover: async function (dir) {
+		if (!isFunction(this.options.adapter.recover)) {
+			return [];
+		}
+		let removed = await this.options.adapter.recover(dir);
+		for (let file of removed) {
+			this.log(`Removed leftover temp file:${file}`);
+		}
+		return removed;
+	},
+
+	stringify: function (obj) {
+		return this.options.stringify(obj);
 	},
 
 	parse: function(str) {
@@ -377,14 +2267,164 @@ LocalStorage.prototype = {
 		return this.parse(this.stringify(value));
 	},
 
+	startWatching: function () {
+		this.stopWatching();
+		if (!isFunction(this.options.adapter.watch)) {
+			throw new Error(`[node-persist][startWatching] the adapter does not support watching!`);
+		}
+		if (this.options.shardDepth) {
+			throw new Error(`[node-persist][startWatching] a storage with a shardDepth can't be watched!`);
+		}
+		this._ownWrites = new Map();
+		this._watchTimeouts = new Map();
+		this._watcher = this.options.adapter.watch(this.options.dir, (name) => {
+			// dot files are ours, i.e. the index or the temp files of a write
+			if (!name || name[0] === '.') {
+				return;
+			}
+			clearTimeout(this._watchTimeouts.get(name));
+			this._watchTimeouts.set(name, setTimeout(() => {
+				this._watchTimeouts.delete(name);
+				this._onExternalChange(name).catch(err => this.log(`Failed to handle the change of:${name}`, err));
+			}, watchDelay));
+		});
+	},
+
+	stopWatching: function () {
+		if (this._watcher) {
+			this._watcher.close();
+			this._watcher = null;
+		}
+		if (this._watchTimeouts) {
+			this._watchTimeouts.forEach(timeout => clearTimeout(timeout));
+		}
+		this._ownWrites = null;
+	},
+
+	_rememberOwnWrite: function (file, data) {
+		if (!this._ownWrites || path.dirname(file) !== this.options.dir) {
+			return;
+		}
+		let name = path.basename(file);
+		let now = Date.now();
+		this._ownWrites.delete(name);
+		this._ownWrites.set(name, {sum: data ? md5(data) : null, at: now});
+		// the Map is in the order of the writes, the oldest ones are first
+		for (let [oldName, write] of this._ownWrites) {
+			if (now - write.at < ownWritesTTL) {
+				break;
+			}
+			this._ownWrites.delete(oldName);
+		}
+	},
+
+	_onExternalChange: async function (name) {
+		if (!this._ownWrites) {
+			return;
+		}
+		let file = path.join(this.options.dir, name);
+		let data;
+		try {
+			data = await this.options.adapter.readFile(file);
+		} catch (err) {
+			if (err.code !== 'ENOENT') {
+				// i.e. a namespace's directory
+				return;
+			}
+		}
+		let ownWrite = this._ownWrites && this._ownWrites.get(name);
+		let sum = data ? md5(data) : null;
+		if (ownWrite && ownWrite.sum === sum) {
+			return;
+		}
+		let key = this._keyOfFile(name);
+		let previousDatum = key !== undefined && this._cache ? this._cache.get(String(key)) : undefined;
+		if (!data) {
+			if (key === undefined) {
+				this.log(`${file} was removed by another process, but its key is unknown`);
+				return;
+			}
+			this._cache && this._cache.delete(String(key));
+			this._indexDelete(key);
+			this._valueIndexesDelete(key);
+			this._expiryDelete(key);
+			this._usageDelete(key);
+			return this._emitChange('remove', key, undefined, previousDatum, true);
+		}
+		let datum = this.parse(await this._decode(data, file));
+		if (!isValidStorageFileContent(datum)) {
+			return;
+		}
+		this._cache && this._cache.delete(String(datum.key));
+		if (this._index || this._valueIndexes.size || this._usage) {
+			let stats = await this.options.adapter.stat(file);
+			this._indexPut(datum.key, {file: name, ttl: datum.ttl, size: stats.size, mtime: stats.mtime});
+			this._valueIndexesPut(datum.key, datum.value, {file: name, size: stats.size, mtime: stats.mtime});
+			this._usagePut(datum.key, stats.size, datum);
+		}
+		this._expirySet(datum.key, datum.ttl);
+		this._emitChange(key === undefined ? 'set' : 'update', datum.key, datum.value, previousDatum, true);
+	},
+
+	/* the key of a file can only be known without reading it if the index or the cache have it */
+	_keyOfFile: function (name) {
+		for (let index of this._valueIndexes.values()) {
+			let key = index.keyOfFile(name);
+			if (key !== undefined) {
+				return key;
+			}
+		}
+		if (this._index) {
+			let entry = this._indexByFile.get(name);
+			return entry && entry.key;
+		}
+		if (this._cache) {
+			for (let cacheKey of this._cache.entries.keys()) {
+				if (this._fileName(this.getDatumPath(cacheKey)) === name) {
+					return this._cache.entries.get(cacheKey).value.key;
+				}
+			}
+		}
+		return undefined;
+	},
+
 	startExpiredKeysInterval: function () {
 		this.stopExpiredKeysInterval();
-		this._expiredKeysInterval = setInterval(this.removeExpiredItems.bind(this), this.options.expiredInterval);
-		this._expiredKeysInterval.unref && this._expiredKeysInterval.unref();
+		this._expiredKeysOn = true;
+		this._expirySchedule().then(() => this._scheduleExpiredKeysTimeout(), err => this.log('Failed to build the expiry schedule', err));
 	},
 
 	stopExpiredKeysInterval: function () {
-		clearInterval(this._expiredKeysInterval);
+		this._expiredKeysOn = false;
+		clearTimeout(this._expiredKeysTimeout);
+		this._expiredKeysTimeout = null;
+	},
+
+	/* a run already due sooner is left as is */
+	_scheduleExpiredKeysTimeout: function () {
+		if (this._parent) {
+			return this._parent._scheduleExpiredKeysTimeout();
+		}
+		if (!this._expiredKeysOn || !this._expiry || this._expiry.touched) {
+			return;
+		}
+		let now = Date.now();
+		let interval = isNumber(this.options.expiredInterval) ? Number(this.options.expiredInterval) : defaults.expiredInterval;
+		let next = this._nextExpiry();
+		let fullAt = this._expiryReconciledAt + interval;
+		let delay = Math.min(Math.max(fullAt - now, 0), next === undefined ? Infinity : Math.max(next - now, 0) + expirySlack, maxTimeout);
+		if (this._expiredKeysTimeout && this._expiredKeysTimeoutAt <= now + delay) {
+			return;
+		}
+		clearTimeout(this._expiredKeysTimeout);
+		this._expiredKeysTimeoutAt = now + delay;
+		this._expiredKeysTimeout = setTimeout(() => {
+			this._expiredKeysTimeout = null;
+			this._removeExpiredItems(Date.now() >= fullAt)
+				.catch(err => this.log('Failed to remove the expired items', err))
+				.then(() => this._scheduleExpiredKeysTimeout());
+		}, delay);
+		this._expiredKeysTimeout.unref && this._expiredKeysTimeout.unref();
 	},
 
 	log: function () {
@@ -416,4 +2456,36 @@ LocalStorage.prototype = {
 	}
 };
 
+/* the API rejects until init() resolved and once close() is called, the calls in progress use the _ twins, i.e. _getDatum, close() waits for them */
+const lifecycleMethods = [
+	'data', 'keys', 'entries', 'values', 'length', 'forEach', 'iterate', 'valuesWithKeyMatch',
+	'set', 'setItem', 'update', 'updateItem', 'incr', 'decr', 'setIfAbsent', 'compareAndSet', 'batch',
+	'get', 'getItem', 'getDatum', 'getRawDatum', 'getDatumValue', 'getTTL', 'expire', 'persist', 'touch',
+	'del', 'rm', 'removeItem', 'removeExpiredItems', 'clear', 'getHistory', 'restore', 'rotateKey',
+	'namespace', 'exportTo', 'importFrom', 'defineIndex', 'find', 'verify', 'repair'
+];
+
+lifecycleMethods.forEach(name => {
+	let method = LocalStorage.prototype[name];
+	LocalStorage.prototype[name] = name === 'iterate' ? async function* (...args) {
+		let err = this._lifecycleError(name);
+		if (err) {
+			throw err;
+		}
+		yield* method.apply(this, args);
+	} : function (...args) {
+		let err = this._lifecycleError(name);
+		if (err) {
+			return Promise.reject(err);
+		}
+		let operation = method.apply(this, args);
+		this._operations.add(operation);
+		let forget = () => this._operations.delete(operation);
+		operation.then(forget, forget);
+		return operation;
+	};
+});
+
+Object.setPrototypeOf(LocalStorage.prototype, EventEmitter.prototype);
+
 module.exports = LocalStorage;
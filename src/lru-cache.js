@@ -0,0 +1,100 @@
+/*
+ * A least recently used cache, bounded by its number of entries and/or their total size in bytes
+ */
+
+/* the changes remembered to tell a stale read apart, past that the oldest ones are forgotten, and the reads started before them are stale */
+const maxChanges = 1000;
+
+const LRUCache = function (options = {}) {
+	if(!(this instanceof LRUCache)) {
+		return new LRUCache(options);
+	}
+	this.maxEntries = options.maxEntries || Infinity;
+	this.maxBytes = options.maxBytes || Infinity;
+	this.bytes = 0;
+	/* bumped on every change, so a value read before a change of its key happened can be told apart, see set() */
+	this.generation = 0;
+	/* key -> the generation of its last change, the oldest change first */
+	this.changes = new Map();
+	/* the generation of the last change forgotten, or of the last clear() */
+	this.forgotten = 0;
+	/* a Map iterates in insertion order, so its first key is the least recently used one */
+	this.entries = new Map();
+};
+
+LRUCache.prototype = {
+
+	get: function (key) {
+		let entry = this.entries.get(key);
+		if (!entry) {
+			return undefined;
+		}
+		this.entries.delete(key);
+		this.entries.set(key, entry);
+		return entry.value;
+	},
+
+	/*
+	 * pass the generation read before fetching the value, if key changed since then, the value might be stale and isn't cached.
+	 * Without it, the value is a change of key, i.e. a write
+	 */
+	set: function (key, value, size, generation) {
+		if (generation != null && this.isStale(key, generation)) {
+			return false;
+		}
+		if (generation == null) {
+			this._changed(key);
+		}
+		this._remove(key);
+		if (size > this.maxBytes) {
+			return false;
+		}
+		this.entries.set(key, {value: value, size: size});
+		this.bytes += size;
+		while (this.entries.size > this.maxEntries || this.bytes > this.maxBytes) {
+			this._remove(this.entries.keys().next().value);
+		}
+		return true;
+	},
+
+	/* whether key changed since generation */
+	isStale: function (key, generation) {
+		return this.forgotten > generation || (this.changes.get(key) || 0) > generation;
+	},
+
+	_changed: function (key) {
+		this.generation++;
+		this.changes.delete(key);
+		this.changes.set(key, this.generation);
+		if (this.changes.size > maxChanges) {
+			let [oldest, generation] = this.changes.entries().next().value;
+			this.changes.delete(oldest);
+			this.forgotten = generation;
+		}
+	},
+
+	delete: function (key) {
+		this._changed(key);
+		return this._remove(key);
+	},
+
+	_remove: function (key) {
+		let entry = this.entries.get(key);
+		if (!entry) {
+			return false;
+		}
+		this.entries.delete(key);
+		this.bytes -= entry.size;
+		return true;
+	},
+
+	clear: function () {
+		this.generation++;
+		this.forgotten = this.generation;
+		this.changes.clear();
+		this.entries.clear();
+		this.bytes = 0;
+	}
+};
+
+module.exports = LRUCache;
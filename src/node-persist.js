@@ -4,6 +4,8 @@
  */
 
 const LocalStorage = require('./local-storage');
+const FileSystemAdapter = require('./adapters/fs');
+const MemoryAdapter = require('./adapters/memory');
 
 (function(nodePersist) {
     /*
@@ -16,6 +18,14 @@ const LocalStorage = require('./local-storage');
         return LocalStorage(userOptions);
     };
 
+    /*
+     * The adapters that can be passed as options.adapter, FileSystemAdapter is the default one
+     * i.e.
+     * var myStorage = nodePersist.create({adapter: nodePersist.MemoryAdapter()});
+     */
+    nodePersist.FileSystemAdapter = FileSystemAdapter;
+    nodePersist.MemoryAdapter = MemoryAdapter;
+
     /*
      * This function, (or init) must be called before the library can be used.
      * An options hash can be optionally passed.
@@ -27,6 +37,12 @@ const LocalStorage = require('./local-storage');
         return ret;
     };
 
+    /*
+     * Until init is called, the API methods are the ones of a storage that's not initialized,
+     * so they reject with a NODE_PERSIST_NOT_INITIALIZED error instead of not being there at all
+     */
+    mixin(nodePersist, nodePersist.create(), {skip: ['init', 'create']});
+
     // expose all the API methods on the main module using a default instance
     function mixin (target, source, options) {
         options = options || {};
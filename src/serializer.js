@@ -0,0 +1,118 @@
+/*
+ * The structured serializer, a type-tagged JSON, so Dates, Buffers, Maps, Sets, BigInts, RegExps, undefined values and
+ * the numbers JSON can't hold are read back as they were written. i.e. a Date is written as {"$t": "Date", "v": "2018-04-01T00:00:00.000Z"}
+ * and an object that has its own $t key gets wrapped in {"$t": "Object", "v": {...}}, so it can't be mistaken for a tagged value
+ */
+
+const tag = '$t';
+
+const hasTag = function (object) {
+	return Object.prototype.hasOwnProperty.call(object, tag);
+};
+
+const encodeNumber = function (n) {
+	if (Number.isFinite(n) && !Object.is(n, -0)) {
+		return n;
+	}
+	return {[tag]: 'Number', v: Object.is(n, -0) ? '-0' : String(n)};
+};
+
+const encode = function (value) {
+	switch (typeof value) {
+		case 'undefined':
+			return {[tag]: 'undefined'};
+		case 'number':
+			return encodeNumber(value);
+		case 'bigint':
+			return {[tag]: 'BigInt', v: value.toString()};
+		case 'object':
+			break;
+		default:
+			return value;
+	}
+	if (value === null) {
+		return null;
+	}
+	if (Array.isArray(value)) {
+		return value.map(encode);
+	}
+	if (value instanceof Date) {
+		return {[tag]: 'Date', v: isNaN(value) ? null : value.toISOString()};
+	}
+	if (Buffer.isBuffer(value)) {
+		return {[tag]: 'Buffer', v: value.toString('base64')};
+	}
+	if (value instanceof Map) {
+		return {[tag]: 'Map', v: Array.from(value, ([key, item]) => [encode(key), encode(item)])};
+	}
+	if (value instanceof Set) {
+		return {[tag]: 'Set', v: Array.from(value, encode)};
+	}
+	if (value instanceof RegExp) {
+		return {[tag]: 'RegExp', v: value.source, f: value.flags};
+	}
+	let object = {};
+	for (let key of Object.keys(value)) {
+		// just like JSON, an undefined property is left out, only the undefined array items are kept
+		if (value[key] !== undefined) {
+			object[key] = encode(value[key]);
+		}
+	}
+	return hasTag(value) ? {[tag]: 'Object', v: object} : object;
+};
+
+const decoders = {
+	undefined: () => undefined,
+	Number: tagged => Number(tagged.v),
+	BigInt: tagged => BigInt(tagged.v),
+	Date: tagged => new Date(tagged.v === null ? NaN : tagged.v),
+	Buffer: tagged => Buffer.from(tagged.v, 'base64'),
+	Map: tagged => new Map(tagged.v.map(([key, item]) => [decode(key), decode(item)])),
+	Set: tagged => new Set(tagged.v.map(decode)),
+	RegExp: tagged => new RegExp(tagged.v, tagged.f),
+	Object: tagged => decodeProperties(tagged.v)
+};
+
+const decodeProperties = function (object) {
+	let value = {};
+	for (let key of Object.keys(object)) {
+		if (key === '__proto__') {
+			// an own property, just like JSON.parse makes it, not the prototype
+			Object.defineProperty(value, key, {value: decode(object[key]), enumerable: true, writable: true, configurable: true});
+		} else {
+			value[key] = decode(object[key]);
+		}
+	}
+	return value;
+};
+
+/* top down, so the content of a wrapped object is never taken for a tagged value */
+const decode = function (value) {
+	if (value === null || typeof value !== 'object') {
+		return value;
+	}
+	if (Array.isArray(value)) {
+		return value.map(decode);
+	}
+	if (hasTag(value)) {
+		let decoder = decoders[value[tag]];
+		if (!decoder) {
+			throw new Error(`[node-persist][parse] ${value[tag]} is not a known type!`);
+		}
+		return decoder(value);
+	}
+	return decodeProperties(value);
+};
+
+const stringify = function (value) {
+	return JSON.stringify(encode(value));
+};
+
+const parse = function (text) {
+	return decode(JSON.parse(text));
+};
+
+module.exports = {
+	stringify: stringify,
+	parse: parse
+};
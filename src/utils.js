@@ -0,0 +1,60 @@
+/*
+ * Helpers shared by the storage and its adapters
+ */
+
+/* tells whether the process that left a file behind, i.e. a temp file or a journal, is still running */
+const isProcessAlive = function (pid) {
+	try {
+		process.kill(pid, 0);
+		return true;
+	} catch (e) {
+		/* EPERM means the process exists, we're just not allowed to signal it */
+		return e.code === 'EPERM';
+	}
+};
+
+/* the first index of the sorted values for which test is true, test being false then true along them */
+const search = function (values, test) {
+	let low = 0;
+	let high = values.length;
+	while (low < high) {
+		let middle = (low + high) >>> 1;
+		if (test(values[middle])) {
+			high = middle;
+		} else {
+			low = middle + 1;
+		}
+	}
+	return low;
+};
+
+/* turns a string, i.e. a command line argument, into the number, boolean, null or JSON it stands for, or leaves it as is */
+const resolveType = function (str) {
+	let type = typeof str;
+	if (type !== 'string') {
+		return str;
+	} else {
+		let nb = parseFloat(str);
+		if (!isNaN(parseFloat(str)) && isFinite(str))
+			return nb;
+		if (str === 'false')
+			return false;
+		if (str === 'true')
+			return true;
+		if (str === 'undefined')
+			return undefined;
+		if (str === 'null')
+			return null;
+		try {
+			str = JSON.parse(str);
+		} catch (e) {
+		}
+		return str;
+	}
+};
+
+module.exports = {
+	isProcessAlive: isProcessAlive,
+	search: search,
+	resolveType: resolveType
+};
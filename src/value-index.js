@@ -0,0 +1,134 @@
+/*
+ * A secondary index, maps every key to a value computed from its datum, i.e. a field, to find the keys by that value, or a range of it
+ */
+
+const crypto = require('crypto');
+const {search} = require('./utils');
+
+/* numbers, then booleans, then strings, a range query only matches values of the type of its bounds */
+const typeOrder = {number: 0, boolean: 1, string: 2};
+
+/* dates are indexed as timestamps, anything but a number, a boolean or a string isn't indexed */
+const normalize = function (value) {
+	if (value instanceof Date) {
+		value = value.getTime();
+	}
+	if (!typeOrder.hasOwnProperty(typeof value) || value !== value) {
+		return undefined;
+	}
+	return value;
+};
+
+const compare = function (a, b) {
+	if (typeof a !== typeof b) {
+		return typeOrder[typeof a] - typeOrder[typeof b];
+	}
+	return a < b ? -1 : a > b ? 1 : 0;
+};
+
+const ValueIndex = function (name, fn) {
+	if(!(this instanceof ValueIndex)) {
+		return new ValueIndex(name, fn);
+	}
+	this.name = name;
+	this.fn = fn;
+	/* a persisted index computed by another fn can't be used */
+	this.fingerprint = crypto.createHash('md5').update(fn.toString()).digest('hex');
+	/* key -> {key, value, file, size, mtime}, the keys that aren't indexed are kept too, so their files aren't read again */
+	this.entries = new Map();
+	this.keysByFile = new Map();
+	/* value -> Set of keys */
+	this.keysByValue = new Map();
+	/* the distinct values in order, sorted again on the first range query after a change */
+	this.sortedValues = null;
+};
+
+ValueIndex.prototype = {
+
+	/* the value fn computes for a datum, undefined if it can't be indexed, or if fn throws, i.e. a field of a value that isn't an object */
+	compute: function (value, key) {
+		try {
+			return normalize(this.fn(value, key));
+		} catch (err) {
+			return undefined;
+		}
+	},
+
+	put: function (key, value, entry) {
+		this.delete(key);
+		entry = {key: key, value: value, file: entry.file, size: entry.size, mtime: entry.mtime};
+		this.entries.set(key, entry);
+		this.keysByFile.set(entry.file, key);
+		if (value === undefined) {
+			return;
+		}
+		let keys = this.keysByValue.get(value);
+		if (!keys) {
+			keys = new Set();
+			this.keysByValue.set(value, keys);
+			this.sortedValues = null;
+		}
+		keys.add(key);
+	},
+
+	delete: function (key) {
+		let entry = this.entries.get(key);
+		if (!entry) {
+			return;
+		}
+		this.entries.delete(key);
+		this.keysByFile.delete(entry.file);
+		let keys = this.keysByValue.get(entry.value);
+		if (keys) {
+			keys.delete(key);
+			if (!keys.size) {
+				this.keysByValue.delete(entry.value);
+				this.sortedValues = null;
+			}
+		}
+	},
+
+	keyOfFile: function (file) {
+		return this.keysByFile.get(file);
+	},
+
+	equals: function (value) {
+		return Array.from(this.keysByValue.get(normalize(value)) || []);
+	},
+
+	/* the keys whose value is within {gt, gte, lt, lte}, in the order of their values, every indexed key if there are no bounds */
+	range: function (bounds = {}) {
+		if (!this.sortedValues) {
+			this.sortedValues = Array.from(this.keysByValue.keys()).sort(compare);
+		}
+		let values = this.sortedValues;
+		let lower = bounds.gte !== undefined ? normalize(bounds.gte) : normalize(bounds.gt);
+		let upper = bounds.lte !== undefined ? normalize(bounds.lte) : normalize(bounds.lt);
+		let start = 0;
+		let end = values.length;
+		if (lower !== undefined) {
+			start = bounds.gte !== undefined ? search(values, value => compare(value, lower) >= 0) : search(values, value => compare(value, lower) > 0);
+		}
+		if (upper !== undefined) {
+			end = bounds.lte !== undefined ? search(values, value => compare(value, upper) > 0) : search(values, value => compare(value, upper) >= 0);
+		}
+		let type = lower !== undefined ? typeof lower : upper !== undefined ? typeof upper : null;
+		let keys = [];
+		for (let i = start; i < end; i++) {
+			if (type === null || typeof values[i] === type) {
+				keys.push(...this.keysByValue.get(values[i]));
+			}
+		}
+		return keys;
+	},
+
+	toJSON: function () {
+		let entries = [];
+		for (let entry of this.entries.values()) {
+			entries.push([entry.key, entry.value, entry.file, entry.size, entry.mtime]);
+		}
+		return {version: 1, name: this.name, fingerprint: this.fingerprint, entries: entries};
+	}
+};
+
+module.exports = ValueIndex;
@@ -1,12 +1,15 @@
 
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
+const {PassThrough} = require('stream');
 const assert = require('chai').assert;
 const rmdir = require('rimraf');
 
 const pkg = require('../package.json');
 const LocalStorage = require('../src/local-storage');
 const nodePersist = require('../src/node-persist');
+const cli = require('../src/cli');
 
 const TEST_BASE_DIR = path.join(__dirname, '/storage-dirs');
 
@@ -16,6 +19,10 @@ const rand  = function (prefix) {
 const randDir = function () {
 	return path.join(TEST_BASE_DIR, '/' + rand());
 };
+/* the checksum written along with a datum */
+const checksum = function (key, value) {
+	return crypto.createHash('md5').update(JSON.stringify([key, value])).digest('hex');
+};
 
 process.on('unhandledRejection', (reason, p) => {
 	console.error('Unhandled Rejection at: Promise', p);
@@ -141,7 +148,7 @@ describe('node-persist ' + pkg.version + ' tests:', async function() {
 
 			it('should getRawDatum()', async function() {
 				let value = await storage.getRawDatum('item1');
-				assert.equal(value, JSON.stringify({key: 'item1', value: items.item1}));
+				assert.equal(value, JSON.stringify({key: 'item1', value: items.item1, rev: 1, sum: checksum('item1', items.item1)}));
 			});
 
 			it('should valuesWithKeyMatch(String)', async function() {
@@ -283,6 +290,1764 @@ describe('node-persist ' + pkg.version + ' tests:', async function() {
 		});
 	});
 
+	describe('atomic writes', function() {
+		it('should not leave temp files behind after setItem()', async function() {
+			let dir = randDir();
+			let storage = nodePersist.create({dir: dir});
+			await storage.init();
+			await storage.setItem('item1', {a: 1});
+			await storage.setItem('item1', {a: 2});
+			assert.deepEqual(fs.readdirSync(dir).filter(file => file !== '.node-persist-manifest.json'), [path.basename(storage.getDatumPath('item1'))]);
+			assert.deepEqual(await storage.getItem('item1'), {a: 2});
+		});
+
+		it('should remove temp files left by an interrupted write on init()', async function() {
+			let dir = randDir();
+			fs.mkdirSync(dir, {recursive: true});
+			let leftover = path.join(dir, `.0123456789abcdef0123456789abcdef.${process.pid}.a1b2c3.tmp`);
+			let foreign = path.join(dir, `.0123456789abcdef0123456789abcdef.${process.ppid}.a1b2c3.tmp`);
+			fs.writeFileSync(leftover, '{"key":"half');
+			fs.writeFileSync(foreign, '{"key":"half');
+
+			let storage = nodePersist.create({dir: dir});
+			await storage.init();
+			assert.notOk(fs.existsSync(leftover), 'leftover temp file should have been removed');
+			assert.ok(fs.existsSync(foreign), 'temp file of a live process should be kept');
+			assert.equal(await storage.length(), 0);
+		});
+	});
+
+	describe('per-key ordering', function() {
+		it('should apply concurrent writes on the same key in the order they were issued', async function() {
+			let storage = nodePersist.create({dir: randDir()});
+			await storage.init();
+			let writes = [];
+			for (let i = 0; i < 20; i++) {
+				writes.push(i % 2 ? storage.setItem('item1', i) : storage.updateItem('item1', i));
+			}
+			await Promise.all(writes);
+			assert.equal(await storage.getItem('item1'), 19);
+		});
+
+		it('should not resurrect a key removed after an updateItem()', async function() {
+			let storage = nodePersist.create({dir: randDir()});
+			await storage.init();
+			await storage.setItem('item1', 1);
+			await Promise.all([
+				storage.updateItem('item1', 2),
+				storage.removeItem('item1'),
+			]);
+			assert.equal(await storage.getItem('item1'), undefined);
+		});
+
+		it('should keep running queued operations after one of them fails', async function() {
+			let storage = nodePersist.create({dir: randDir()});
+			await storage.init();
+			let failed = storage._enqueue('item1', () => Promise.reject(new Error('boom')));
+			let next = storage.setItem('item1', 1);
+			try {
+				await failed;
+				assert.fail('should have rejected');
+			} catch (e) {
+				assert.equal(e.message, 'boom');
+			}
+			await next;
+			assert.equal(await storage.getItem('item1'), 1);
+		});
+	});
+
+	describe('atomic operations', function() {
+		let storage;
+
+		beforeEach(async function() {
+			storage = nodePersist.create({dir: randDir()});
+			await storage.init();
+		});
+
+		it('should bump the datum revision on every write', async function() {
+			await storage.setItem('item1', 1);
+			await storage.updateItem('item1', 2);
+			await storage.setItem('item1', 3);
+			assert.equal((await storage.getDatum('item1')).rev, 3);
+		});
+
+		it('should incr() and decr() without losing concurrent increments', async function() {
+			let increments = [];
+			for (let i = 0; i < 20; i++) {
+				increments.push(storage.incr('counter'));
+			}
+			await Promise.all(increments);
+			assert.equal(await storage.getItem('counter'), 20);
+			assert.equal(await storage.incr('counter', 5), 25);
+			assert.equal(await storage.decr('counter', 10), 15);
+			assert.equal(await storage.decr('counter'), 14);
+		});
+
+		it('should keep the ttl when incr() an existing counter', async function() {
+			let now = +new Date();
+			await storage.setItem('counter', 1, {ttl: 10000});
+			await storage.incr('counter');
+			assert.approximately((await storage.getDatum('counter')).ttl, now + 10000, 350);
+		});
+
+		it('should reject incr() on a value that is not a number', async function() {
+			await storage.setItem('item1', 'abc');
+			try {
+				await storage.incr('item1');
+				assert.fail('should have rejected');
+			} catch (e) {
+				assert.ok(/^\[node-persist]\[incr] item1 does not hold a number/.test(e.message));
+			}
+		});
+
+		it('should setIfAbsent() only once', async function() {
+			let results = await Promise.all([
+				storage.setIfAbsent('slot', 'a'),
+				storage.setIfAbsent('slot', 'b'),
+			]);
+			assert.deepEqual(results, [true, false]);
+			assert.equal(await storage.getItem('slot'), 'a');
+		});
+
+		it('should compareAndSet() only when the value matches', async function() {
+			await storage.setItem('item1', {a: 1});
+			assert.equal(await storage.compareAndSet('item1', {a: 2}, {a: 3}), false);
+			assert.deepEqual(await storage.getItem('item1'), {a: 1});
+			assert.equal(await storage.compareAndSet('item1', {a: 1}, {a: 3}), true);
+			assert.deepEqual(await storage.getItem('item1'), {a: 3});
+			assert.equal(await storage.compareAndSet('item2', undefined, 1), true);
+			assert.equal(await storage.getItem('item2'), 1);
+		});
+
+		it('should compareAndSet() whatever the order of the keys, or by revision', async function() {
+			await storage.setItem('item1', {a: 1, b: {c: 2, d: 3}});
+			assert.equal(await storage.compareAndSet('item1', {b: {d: 3, c: 2}, a: 1}, {a: 2}), true);
+			let rev = (await storage.getDatum('item1')).rev;
+			assert.equal(await storage.compareAndSet('item1', null, {a: 3}, {rev: rev - 1}), false);
+			assert.equal(await storage.compareAndSet('item1', null, {a: 3}, {rev: rev}), true);
+			assert.deepEqual(await storage.getItem('item1'), {a: 3});
+			assert.equal(await storage.compareAndSet('item3', null, 1, {rev: 0}), true);
+		});
+
+		it('should reject incr() and decr() by something else than a number', async function() {
+			for (let by of ['5', NaN, Infinity]) {
+				try {
+					await storage.incr('counter', by);
+					assert.fail('should have rejected');
+				} catch (e) {
+					assert.ok(/^\[node-persist]\[incr] by must be a finite number/.test(e.message), e.message);
+				}
+			}
+			try {
+				await storage.decr('counter', '5');
+				assert.fail('should have rejected');
+			} catch (e) {
+				assert.ok(/^\[node-persist]\[decr] by must be a finite number/.test(e.message), e.message);
+			}
+			assert.equal(await storage.getItem('counter'), undefined);
+		});
+	});
+
+	describe('index', function() {
+		it('should keys() and length() from the index without reading the files', async function() {
+			let storage = nodePersist.create({dir: randDir(), index: true});
+			await storage.init();
+			await storage.setItem('item1', 1);
+			await storage.setItem('item2', 2);
+			await storage.setItem('item3', 3);
+			await storage.removeItem('item2');
+
+			storage.readFile = () => Promise.reject(new Error('should not read any file'));
+			assert.deepEqual((await storage.keys()).sort(), ['item1', 'item3']);
+			assert.equal(await storage.length(), 2);
+		});
+
+		it('should persist the index and reconcile it with the files on init()', async function() {
+			let dir = randDir();
+			let storage = nodePersist.create({dir: dir, index: true});
+			await storage.init();
+			await storage.setItem('item1', 1);
+			await storage.setItem('item2', 2);
+			await storage._flushIndex();
+			assert.ok(fs.existsSync(path.join(dir, '.node-persist-index.json')));
+
+			// changes made behind the index's back, i.e. a crash before the index got written
+			fs.unlinkSync(storage.getDatumPath('item1'));
+			let other = nodePersist.create({dir: dir});
+			await other.init();
+			await other.setItem('item3', 3);
+
+			let reopened = nodePersist.create({dir: dir, index: true});
+			await reopened.init();
+			assert.deepEqual((await reopened.keys()).sort(), ['item2', 'item3']);
+			assert.equal(await reopened.length(), 2);
+		});
+
+		it('should removeExpiredItems() using the ttls from the index', async function() {
+			let storage = nodePersist.create({dir: randDir(), index: true});
+			await storage.init();
+			await storage.setItem('item1', 1, {ttl: 1});
+			await storage.setItem('item2', 2);
+			await new Promise(resolve => setTimeout(resolve, 10));
+			await storage.removeExpiredItems();
+			assert.deepEqual(await storage.keys(), ['item2']);
+		});
+	});
+
+	describe('iterate', function() {
+		let storage;
+
+		beforeEach(async function() {
+			storage = nodePersist.create({dir: randDir()});
+			await storage.init();
+			await storage.setItem('user:1', {name: 'a'});
+			await storage.setItem('user:2', {name: 'b'});
+			await storage.setItem('session:1', {user: 1}, {ttl: 10000});
+		});
+
+		it('should iterate() over every datum with for await', async function() {
+			let keys = [];
+			for await (let datum of storage) {
+				assert.hasAllKeys(datum, ['key', 'value', 'ttl']);
+				keys.push(datum.key);
+			}
+			assert.deepEqual(keys.sort(), ['session:1', 'user:1', 'user:2']);
+		});
+
+		it('should iterate() with a prefix and a filter', async function() {
+			let data = [];
+			for await (let datum of storage.iterate({prefix: 'user:', filter: datum => datum.value.name === 'b'})) {
+				data.push(datum);
+			}
+			assert.deepEqual(data, [{key: 'user:2', value: {name: 'b'}, ttl: undefined}]);
+		});
+
+		it('should stop reading files when exiting the loop early', async function() {
+			let reads = 0;
+			let readFile = storage.readFile;
+			storage.readFile = function () {
+				reads++;
+				return readFile.apply(this, arguments);
+			};
+			for await (let datum of storage) {
+				assert.ok(datum.key);
+				break;
+			}
+			assert.equal(reads, 1);
+		});
+	});
+
+	describe('namespaces', function() {
+		let dir, storage;
+
+		beforeEach(async function() {
+			dir = randDir();
+			storage = nodePersist.create({dir: dir, expiredInterval: false});
+			await storage.init();
+			await storage.setItem('item1', 1);
+		});
+
+		it('should scope a namespace to its own sub directory', async function() {
+			let sessions = await storage.namespace('sessions');
+			assert.ok(sessions instanceof LocalStorage);
+			assert.strictEqual(await storage.namespace('sessions'), sessions);
+			assert.equal(sessions.options.dir, path.join(dir, 'sessions'));
+
+			await sessions.setItem('item1', 'session');
+			await sessions.setItem('item2', 'session');
+			assert.equal(await storage.getItem('item1'), 1);
+			assert.deepEqual(await storage.keys(), ['item1']);
+			assert.equal(await sessions.length(), 2);
+			assert.equal(await storage.length(), 1);
+
+			await sessions.clear();
+			assert.equal(await sessions.length(), 0);
+			assert.equal(await storage.getItem('item1'), 1);
+		});
+
+		it('should use its own ttl and be swept by its parent', async function() {
+			let sessions = await storage.namespace('sessions', {ttl: 1});
+			assert.equal(sessions._expiredKeysTimeout, undefined);
+			await sessions.setItem('item1', 'session');
+			await storage.setItem('item2', 2);
+			await new Promise(resolve => setTimeout(resolve, 10));
+			await storage.removeExpiredItems();
+			assert.equal(await sessions.length(), 0);
+			assert.equal(await storage.length(), 2);
+		});
+
+		it('should reject invalid namespace names', async function() {
+			for (let name of ['', '.hidden', 'a/b', storage.getDatumPath('item1').slice(-32)]) {
+				try {
+					await storage.namespace(name);
+					assert.fail('should have rejected');
+				} catch (e) {
+					assert.ok(/^\[node-persist]\[namespace]/.test(e.message));
+				}
+			}
+		});
+	});
+
+	describe('adapters', function() {
+		it('should use the file system adapter by default', async function() {
+			let storage = nodePersist.create({dir: randDir()});
+			assert.ok(storage.options.adapter instanceof nodePersist.FileSystemAdapter);
+		});
+
+		it('should store everything in memory with the memory adapter', async function() {
+			let dir = randDir();
+			let adapter = nodePersist.MemoryAdapter();
+			let storage = nodePersist.create({dir: dir, adapter: adapter, index: true});
+			await storage.init();
+			await storage.setItem('item1', {a: 1});
+			await storage.setItem('item2', 2, {ttl: 1});
+			await storage.incr('counter');
+			let sessions = await storage.namespace('sessions');
+			await sessions.setItem('item1', 'session');
+
+			assert.notOk(fs.existsSync(dir), 'nothing should be written on disk');
+			assert.deepEqual(await storage.getItem('item1'), {a: 1});
+			assert.equal(await sessions.getItem('item1'), 'session');
+			assert.equal(await storage.length(), 3);
+
+			await new Promise(resolve => setTimeout(resolve, 10));
+			await storage.removeExpiredItems();
+			assert.deepEqual((await storage.keys()).sort(), ['counter', 'item1']);
+
+			let other = nodePersist.create({dir: dir, adapter: adapter});
+			await other.init();
+			assert.deepEqual((await other.values()).sort(), [1, {a: 1}]);
+			await other.clear();
+			assert.equal(await other.length(), 0);
+			assert.equal(await sessions.length(), 1);
+		});
+	});
+
+	describe('cache', function() {
+		let storage, reads;
+
+		beforeEach(async function() {
+			storage = nodePersist.create({dir: randDir(), cache: {maxEntries: 2}});
+			await storage.init();
+			reads = 0;
+			let readFile = storage.readFile;
+			storage.readFile = function () {
+				reads++;
+				return readFile.apply(this, arguments);
+			};
+		});
+
+		it('should serve getItem() from the cache', async function() {
+			await storage.setItem('item1', {a: 1});
+			let value = await storage.getItem('item1');
+			value.a = 2;
+			assert.deepEqual(await storage.getItem('item1'), {a: 1});
+			assert.equal(reads, 1); // the previous datum read by setItem
+		});
+
+		it('should stay in sync with updateItem(), incr(), removeItem() and clear()', async function() {
+			await storage.setItem('item1', 1);
+			await storage.updateItem('item1', 2);
+			assert.equal(await storage.getItem('item1'), 2);
+			await storage.incr('item1');
+			assert.equal(await storage.getItem('item1'), 3);
+			await storage.removeItem('item1');
+			assert.equal(await storage.getItem('item1'), undefined);
+			await storage.setItem('item2', 2);
+			await storage.clear();
+			assert.equal(await storage.getItem('item2'), undefined);
+		});
+
+		it('should cache the concurrent reads of different keys', async function() {
+			let storage = nodePersist.create({dir: randDir(), cache: true});
+			await storage.init();
+			let keys = Array.from({length: 50}, (v, i) => 'item' + i);
+			for (let key of keys) {
+				await storage.setItem(key, key);
+			}
+			storage._cache.clear();
+			await Promise.all(keys.map(key => storage.getItem(key)));
+			assert.equal(storage._cache.entries.size, 50);
+		});
+
+		it('should not cache a read the key changed during', async function() {
+			await storage.setItem('item1', 1);
+			storage._cache.clear();
+			let generation = storage._cache.generation;
+			storage._cache.delete('item1');
+			assert.notOk(storage._cache.set('item1', {key: 'item1', value: 0}, 10, generation));
+			assert.ok(storage._cache.set('item2', {key: 'item2', value: 2}, 10, generation));
+		});
+
+		it('should not serve expired items', async function() {
+			await storage.setItem('item1', 1, {ttl: 1});
+			await new Promise(resolve => setTimeout(resolve, 10));
+			assert.equal(await storage.getItem('item1'), undefined);
+			assert.equal(await storage.length(), 0);
+		});
+
+		it('should evict the least recently used entries', async function() {
+			await storage.setItem('item1', 1);
+			await storage.setItem('item2', 2);
+			await storage.getItem('item1');
+			await storage.setItem('item3', 3);
+			reads = 0;
+			await storage.getItem('item1');
+			await storage.getItem('item3');
+			assert.equal(reads, 0);
+			await storage.getItem('item2');
+			assert.equal(reads, 1);
+		});
+
+		it('should count the size of the values, not of their compressed files', async function() {
+			let compressed = nodePersist.create({dir: randDir(), cache: {maxBytes: 10000}, compression: 'gzip'});
+			await compressed.init();
+			let value = 'a'.repeat(5000);
+			await compressed.setItem('item1', value);
+			let written = compressed._cache.bytes;
+			compressed._cache.clear();
+			await compressed.getItem('item1');
+			assert.equal(compressed._cache.bytes, written);
+			assert.ok(written > 5000);
+			await compressed.setItem('item2', value);
+			assert.equal(compressed._cache.entries.size, 1);
+		});
+	});
+
+	describe('events', function() {
+		const nextEvent = function (storage, event) {
+			return new Promise(resolve => storage.once(event, resolve));
+		};
+
+		it('should emit set, update, remove, expire and clear', async function() {
+			let storage = nodePersist.create({dir: randDir()});
+			await storage.init();
+			let events = [];
+			for (let event of ['set', 'update', 'remove', 'expire', 'clear']) {
+				storage.on(event, change => events.push([event, change]));
+			}
+			await storage.setItem('item1', 1);
+			await storage.updateItem('item1', 2);
+			await storage.incr('item1');
+			await storage.removeItem('item1');
+			await storage.removeItem('item1');
+			await storage.setItem('item2', 2, {ttl: 1});
+			await new Promise(resolve => setTimeout(resolve, 10));
+			await storage.getItem('item2');
+			await storage.setItem('item3', 3);
+			await storage.clear();
+
+			assert.deepEqual(events, [
+				['set', {key: 'item1', value: 1, oldValue: undefined}],
+				['update', {key: 'item1', value: 2, oldValue: 1}],
+				['update', {key: 'item1', value: 3, oldValue: 2}],
+				['remove', {key: 'item1', value: undefined, oldValue: 3}],
+				['set', {key: 'item2', value: 2, oldValue: undefined}],
+				['expire', {key: 'item2', value: undefined, oldValue: 2}],
+				['set', {key: 'item3', value: 3, oldValue: undefined}],
+				['clear', {keys: ['item3']}],
+			]);
+		});
+
+		it('should emit the changes made by another instance sharing the dir', async function() {
+			let dir = randDir();
+			let adapter = nodePersist.MemoryAdapter();
+			let storage = nodePersist.create({dir: dir, adapter: adapter, watch: true, index: true});
+			let other = nodePersist.create({dir: dir, adapter: adapter});
+			await storage.init();
+			await other.init();
+			let own = [];
+			storage.on('set', change => own.push(change));
+
+			await storage.setItem('item0', 0);
+			let set = nextEvent(storage, 'set');
+			await other.setItem('item1', 1);
+			assert.deepEqual(await set, {key: 'item1', value: 1, oldValue: undefined, external: true});
+			assert.deepEqual(await storage.keys(), ['item0', 'item1']);
+
+			let update = nextEvent(storage, 'update');
+			await other.setItem('item1', 2);
+			assert.deepEqual(await update, {key: 'item1', value: 2, oldValue: undefined, external: true});
+
+			let remove = nextEvent(storage, 'remove');
+			await other.removeItem('item1');
+			assert.equal((await remove).key, 'item1');
+			assert.deepEqual(await storage.keys(), ['item0']);
+			assert.deepEqual(own.map(change => change.key), ['item0', 'item1']);
+		});
+
+		it('should watch the file system for the changes made by another process', async function() {
+			let dir = randDir();
+			let storage = nodePersist.create({dir: dir, watch: true, cache: true});
+			let other = nodePersist.create({dir: dir});
+			await storage.init();
+			await other.init();
+			await storage.setItem('item1', 1);
+			assert.equal(await storage.getItem('item1'), 1);
+
+			let update = nextEvent(storage, 'update');
+			await other.setItem('item1', 2);
+			assert.deepEqual(await update, {key: 'item1', value: 2, oldValue: 1, external: true});
+			assert.equal(await storage.getItem('item1'), 2);
+			storage.stopWatching();
+		});
+	});
+
+	describe('encryption', function() {
+		const key = crypto.randomBytes(32);
+
+		it('should encrypt the files and decrypt them on read', async function() {
+			let dir = randDir();
+			let storage = nodePersist.create({dir: dir, encryption: {key: key}, index: true});
+			await storage.init();
+			await storage.setItem('token', {secret: 'abc123'});
+
+			let content = fs.readFileSync(storage.getDatumPath('token'));
+			assert.equal(content.indexOf('abc123'), -1);
+			assert.equal(content.indexOf('token'), -1);
+			assert.deepEqual(await storage.getItem('token'), {secret: 'abc123'});
+			assert.equal(await storage.getRawDatum('token'), JSON.stringify({key: 'token', value: {secret: 'abc123'}, rev: 1, sum: checksum('token', {secret: 'abc123'})}));
+
+			let reopened = nodePersist.create({dir: dir, encryption: {key: key}, index: true});
+			await reopened.init();
+			assert.deepEqual(await reopened.keys(), ['token']);
+		});
+
+		it('should reject reading with the wrong key or without a key', async function() {
+			let dir = randDir();
+			let storage = nodePersist.create({dir: dir, encryption: {key: 'a passphrase'}});
+			await storage.init();
+			await storage.setItem('token', 'abc123');
+
+			for (let options of [{encryption: {key: 'another passphrase'}}, {}]) {
+				let other = nodePersist.create(Object.assign({dir: dir}, options));
+				await other.init();
+				try {
+					await other.getItem('token');
+					assert.fail('should have rejected');
+				} catch (e) {
+					assert.ok(/^\[node-persist]\[readFile].*(could not be decrypted|no encryption key was given)/.test(e.message), e.message);
+				}
+			}
+		});
+
+		it('should derive a passphrase with scrypt and the salt of the dir', async function() {
+			let dir = randDir();
+			let storage = nodePersist.create({dir: dir, encryption: {key: 'a passphrase'}});
+			await storage.init();
+			await storage.setItem('token', 'abc123');
+			let salt = JSON.parse(fs.readFileSync(path.join(dir, '.node-persist-manifest.json'), 'utf8')).salt;
+			assert.match(salt, /^[0-9a-f]{32}$/);
+			assert.ok(storage._encryptionKeys[0].equals(crypto.scryptSync('a passphrase', Buffer.from(salt, 'hex'), 32)));
+
+			let other = nodePersist.create({dir: randDir(), encryption: {key: 'a passphrase'}});
+			await other.init();
+			assert.notOk(other._encryptionKeys[0].equals(storage._encryptionKeys[0]));
+
+			let reopened = nodePersist.create({dir: dir, encryption: {key: 'a passphrase'}});
+			await reopened.init();
+			assert.equal(await reopened.getItem('token'), 'abc123');
+		});
+
+		it('should reject a tampered file', async function() {
+			let storage = nodePersist.create({dir: randDir(), encryption: {key: key}});
+			await storage.init();
+			await storage.setItem('token', 'abc123');
+			let file = storage.getDatumPath('token');
+			let content = fs.readFileSync(file);
+			content[content.length - 1] ^= 1;
+			fs.writeFileSync(file, content);
+			try {
+				await storage.getItem('token');
+				assert.fail('should have rejected');
+			} catch (e) {
+				assert.ok(/could not be decrypted/.test(e.message));
+			}
+		});
+
+		it('should rotateKey() and still read the plain files written before', async function() {
+			let dir = randDir();
+			let storage = nodePersist.create({dir: dir});
+			await storage.init();
+			await storage.setItem('item1', 1);
+			let sessions = await storage.namespace('sessions');
+			await sessions.setItem('item2', 2);
+
+			await storage.rotateKey(null, 'key1');
+			assert.ok(fs.readFileSync(storage.getDatumPath('item1'))[0] === 0);
+			await storage.rotateKey('key1', 'key2');
+			try {
+				await storage.rotateKey('key1', 'key3');
+				assert.fail('should have rejected');
+			} catch (e) {
+				assert.ok(/^\[node-persist]\[rotateKey] oldKey is not the current encryption key/.test(e.message));
+			}
+
+			let reopened = nodePersist.create({dir: dir, encryption: {key: 'key2'}});
+			await reopened.init();
+			assert.equal(await reopened.getItem('item1'), 1);
+			assert.equal(await (await reopened.namespace('sessions')).getItem('item2'), 2);
+
+			await reopened.rotateKey('key2', null);
+			assert.equal(fs.readFileSync(reopened.getDatumPath('item1'), 'utf8'), JSON.stringify({key: 'item1', value: 1, rev: 1, sum: checksum('item1', 1)}));
+		});
+
+		it('should not change the defaults of the other instances', function() {
+			let storage = nodePersist.create();
+			storage.options.encryption = {key: 'secret'};
+			assert.equal(nodePersist.create().options.encryption, false);
+		});
+	});
+
+	describe('compression', function() {
+		const big = {list: Array.from({length: 500}, (v, i) => ({id: i, name: 'item ' + i}))};
+
+		it('should compress the files above the threshold', async function() {
+			let storage = nodePersist.create({dir: randDir(), compression: 'gzip'});
+			await storage.init();
+			await storage.setItem('big', big);
+			await storage.setItem('small', 1);
+
+			let content = fs.readFileSync(storage.getDatumPath('big'));
+			assert.ok(content.length * 5 < JSON.stringify(big).length, 'should be a lot smaller');
+			assert.equal(content.slice(0, 4).toString(), '\0NPG');
+			assert.equal(fs.readFileSync(storage.getDatumPath('small'), 'utf8'), JSON.stringify({key: 'small', value: 1, rev: 1, sum: checksum('small', 1)}));
+			assert.deepEqual(await storage.getItem('big'), big);
+		});
+
+		it('should read a storage mixing compressed, uncompressed and encrypted files', async function() {
+			let dir = randDir();
+			let storage = nodePersist.create({dir: dir});
+			await storage.init();
+			await storage.setItem('plain', big);
+
+			let compressed = nodePersist.create({dir: dir, compression: 'brotli', compressionThreshold: 0, encryption: {key: 'key'}});
+			await compressed.init();
+			await compressed.setItem('brotli', big);
+			assert.deepEqual(await compressed.getItem('plain'), big);
+			assert.deepEqual(await compressed.getItem('brotli'), big);
+			assert.equal((await compressed.values()).length, 2);
+		});
+
+		it('should reject an unsupported compression', function() {
+			assert.throws(() => nodePersist.create({compression: 'zip'}), /^\[node-persist]\[setOptions] zip is not a supported compression/);
+		});
+	});
+
+	describe('batch', function() {
+		let dir, storage;
+
+		beforeEach(async function() {
+			dir = randDir();
+			storage = nodePersist.create({dir: dir, index: true});
+			await storage.init();
+		});
+
+		it('should apply every operation of a batch', async function() {
+			await storage.setItem('old', {id: 1});
+			let events = [];
+			storage.on('set', change => events.push(change.key));
+			storage.on('remove', change => events.push(change.key));
+			await storage.batch([
+				{op: 'set', key: 'new', value: {id: 1}},
+				{op: 'set', key: 'lookup', value: 'new', ttl: 10000},
+				{op: 'remove', key: 'old'},
+			]);
+			assert.deepEqual(await storage.getItem('new'), {id: 1});
+			assert.equal(await storage.getItem('lookup'), 'new');
+			assert.equal(await storage.getItem('old'), undefined);
+			assert.deepEqual((await storage.keys()).sort(), ['lookup', 'new']);
+			assert.deepEqual(events, ['new', 'lookup', 'old']);
+			assert.notOk(fs.readdirSync(dir).some(file => /journal/.test(file)), 'the journal should have been removed');
+		});
+
+		it('should reject an invalid batch without applying any of it', async function() {
+			try {
+				await storage.batch([{op: 'set', key: 'item1', value: 1}, {op: 'move', key: 'item2'}]);
+				assert.fail('should have rejected');
+			} catch (e) {
+				assert.ok(/^\[node-persist]\[batch] move is not a valid operation/.test(e.message));
+			}
+			assert.equal(await storage.getItem('item1'), undefined);
+		});
+
+		it('should replay the journal of a batch interrupted by a crash on init()', async function() {
+			await storage.setItem('old', {id: 1});
+			// the journal got written, but the process died before applying it
+			await storage._writeJournal(new Map([
+				['new', {key: 'new', value: {id: 1}, rev: 1}],
+				['old', null],
+			]));
+
+			let reopened = nodePersist.create({dir: dir, index: true});
+			await reopened.init();
+			assert.deepEqual(await reopened.getItem('new'), {id: 1});
+			assert.equal(await reopened.getItem('old'), undefined);
+			assert.deepEqual(await reopened.keys(), ['new']);
+			assert.notOk(fs.readdirSync(dir).some(file => /journal/.test(file)), 'the journal should have been removed');
+		});
+
+		it('should roll back a batch and remove its journal if a write fails', async function() {
+			await storage.setItem('a', 1);
+			await storage.setItem('b', 2);
+			let writeFile = storage.writeFile;
+			storage.writeFile = function (file) {
+				if (file === storage.getDatumPath('b')) {
+					return Promise.reject(new Error('no space left on device'));
+				}
+				return writeFile.apply(this, arguments);
+			};
+			try {
+				await storage.batch([
+					{op: 'set', key: 'a', value: 10},
+					{op: 'set', key: 'b', value: 20},
+					{op: 'set', key: 'c', value: 30},
+				]);
+				assert.fail('should have rejected');
+			} catch (e) {
+				assert.equal(e.message, 'no space left on device');
+			}
+			storage.writeFile = writeFile;
+			assert.equal(await storage.getItem('a'), 1);
+			assert.equal(await storage.getItem('b'), 2);
+			assert.equal(await storage.getItem('c'), undefined);
+			assert.deepEqual((await storage.keys()).sort(), ['a', 'b']);
+			assert.deepEqual(fs.readdirSync(dir).filter(file => /journal/.test(file)), []);
+
+			await storage.setItem('a', 100);
+			await storage.close();
+			let reopened = nodePersist.create({dir: dir, index: true});
+			await reopened.init();
+			assert.equal(await reopened.getItem('a'), 100);
+		});
+
+		it('should roll back an invalid journal on init()', async function() {
+			await storage.setItem('item1', 1);
+			fs.writeFileSync(path.join(dir, `.node-persist-journal.${process.pid}.abcdef.json`), '{"version":1,"operations":[{"fi');
+			let reopened = nodePersist.create({dir: dir});
+			await reopened.init();
+			assert.equal(await reopened.getItem('item1'), 1);
+			assert.deepEqual(fs.readdirSync(dir).filter(file => /journal/.test(file)), []);
+		});
+	});
+
+	describe('history', function() {
+		let storage;
+
+		beforeEach(async function() {
+			storage = nodePersist.create({dir: randDir(), history: {maxVersions: 3}});
+			await storage.init();
+		});
+
+		it('should keep the previous versions of a key', async function() {
+			await storage.setItem('settings', {theme: 'dark'});
+			await storage.updateItem('settings', {theme: 'light'});
+			await storage.setItem('settings', {theme: 'blue'});
+			let history = await storage.getHistory('settings');
+			assert.deepEqual(history.map(version => version.version), [2, 1]);
+			assert.deepEqual(history.map(version => version.value), [{theme: 'light'}, {theme: 'dark'}]);
+			assert.deepEqual(await storage.getHistory('unknown'), []);
+		});
+
+		it('should clean up the temp files left in the history directory', async function() {
+			await storage.setItem('settings', {theme: 'dark'});
+			await storage.setItem('settings', {theme: 'light'});
+			let historyDir = path.join(storage.options.dir, '.history');
+			let leftover = path.join(historyDir, `.${path.basename(storage._historyPath('settings'))}.2147483646.abcdef.tmp`);
+			fs.writeFileSync(leftover, 'half of it');
+			await storage.init();
+			assert.notOk(fs.existsSync(leftover));
+			assert.deepEqual(fs.readdirSync(historyDir), [path.basename(storage._historyPath('settings'))]);
+		});
+
+		it('should only keep maxVersions versions', async function() {
+			for (let i = 0; i < 6; i++) {
+				await storage.setItem('item1', i);
+			}
+			let history = await storage.getHistory('item1');
+			assert.deepEqual(history.map(version => version.value), [4, 3, 2]);
+			assert.deepEqual(history.map(version => version.version), [5, 4, 3]);
+		});
+
+		it('should restore() a version, even after removeItem()', async function() {
+			await storage.setItem('settings', {theme: 'dark'});
+			await storage.setItem('settings', {theme: 'light'});
+			await storage.removeItem('settings');
+			assert.deepEqual(await storage.restore('settings', 1), {theme: 'dark'});
+			assert.deepEqual(await storage.getItem('settings'), {theme: 'dark'});
+			assert.deepEqual((await storage.getHistory('settings')).map(version => version.value), [{theme: 'light'}, {theme: 'dark'}]);
+			try {
+				await storage.restore('settings', 42);
+				assert.fail('should have rejected');
+			} catch (e) {
+				assert.ok(/^\[node-persist]\[restore] settings has no version 42/.test(e.message));
+			}
+		});
+
+		it('should archive what a batch replaced, only once it is applied', async function() {
+			await storage.setItem('a', 1);
+			await storage.setItem('b', 2);
+			let writeFile = storage.writeFile;
+			storage.writeFile = function (file) {
+				if (file === storage.getDatumPath('b')) {
+					return Promise.reject(new Error('no space left on device'));
+				}
+				return writeFile.apply(this, arguments);
+			};
+			try {
+				await storage.batch([{op: 'set', key: 'a', value: 10}, {op: 'remove', key: 'b'}, {op: 'set', key: 'b', value: 20}]);
+				assert.fail('should have rejected');
+			} catch (e) {
+				assert.equal(e.message, 'no space left on device');
+			}
+			storage.writeFile = writeFile;
+			assert.deepEqual(await storage.getHistory('a'), []);
+			assert.deepEqual(await storage.getHistory('b'), []);
+
+			await storage.batch([{op: 'set', key: 'a', value: 10}, {op: 'remove', key: 'b'}]);
+			assert.deepEqual((await storage.getHistory('a')).map(version => version.value), [1]);
+			assert.deepEqual((await storage.getHistory('b')).map(version => version.value), [2]);
+		});
+
+		it('should not list the history as data, keep it on clear() and purge it if asked', async function() {
+			await storage.setItem('item1', 1);
+			await storage.setItem('item1', 2);
+			assert.deepEqual(await storage.keys(), ['item1']);
+			await storage.clear();
+			assert.deepEqual(await storage.keys(), []);
+			assert.deepEqual((await storage.getHistory('item1')).map(version => version.value), [2, 1]);
+			assert.equal(await storage.restore('item1', 2), 2);
+			await storage.clear({purgeHistory: true});
+			assert.deepEqual(await storage.getHistory('item1'), []);
+		});
+	});
+
+	describe('lifecycle', function() {
+		const rejects = async function (promise, code) {
+			try {
+				await promise;
+				assert.fail('should have rejected');
+			} catch (e) {
+				assert.equal(e.code, code, e.message);
+			}
+		};
+
+		it('should reject the calls made before init()', async function() {
+			let dir = randDir();
+			let storage = nodePersist.create({dir: dir});
+			await rejects(storage.setItem('item1', 1), 'NODE_PERSIST_NOT_INITIALIZED');
+			await rejects(storage.iterate().next(), 'NODE_PERSIST_NOT_INITIALIZED');
+			assert.notOk(fs.existsSync(dir));
+			let initializing = storage.init();
+			await rejects(storage.getItem('item1'), 'NODE_PERSIST_NOT_INITIALIZED');
+			await initializing;
+			await storage.setItem('item1', 1);
+			assert.equal(await storage.getItem('item1'), 1);
+		});
+
+		it('should wait for the writes in progress on close(), then reject every call until init()', async function() {
+			let dir = randDir();
+			let storage = nodePersist.create({dir: dir, index: true, expiredInterval: 60000});
+			await storage.init();
+			let namespace = await storage.namespace('sessions');
+			let writes = [];
+			for (let i = 0; i < 20; i++) {
+				writes.push(storage.setItem('item' + i, i, {ttl: 60000}));
+			}
+			writes.push(namespace.setItem('session', 1));
+			await storage.close();
+			assert.equal(storage._queues.size, 0);
+			assert.equal(storage._expiredKeysTimeout, null);
+			await Promise.all(writes);
+			// the index got written
+			assert.equal(JSON.parse(fs.readFileSync(path.join(dir, '.node-persist-index.json'), 'utf8')).entries.length, 20);
+
+			await rejects(storage.getItem('item1'), 'NODE_PERSIST_CLOSED');
+			await rejects(storage.keys(), 'NODE_PERSIST_CLOSED');
+			await rejects(namespace.setItem('session', 2), 'NODE_PERSIST_CLOSED');
+			await rejects(storage.migrate([{name: 'double', migrate: value => value * 2}]), 'NODE_PERSIST_CLOSED');
+			assert.strictEqual(storage.close(), storage.close());
+
+			await storage.init();
+			assert.equal(await storage.getItem('item19'), 19);
+			assert.equal(await (await storage.namespace('sessions')).getItem('session'), 1);
+			await storage.close();
+		});
+
+		it('should let the calls in progress finish on close(), the namespaces too', async function() {
+			let dir = randDir();
+			let storage = nodePersist.create({dir: dir, expiredInterval: false});
+			await storage.init();
+			await storage.setItem('old', 0);
+			await (await storage.namespace('sessions')).setItem('session', 1);
+			let input = new PassThrough();
+			let importing = storage.importFrom(input, {mode: 'replace'});
+			let rotating = storage.rotateKey(null, 'key1');
+			let done = false;
+			Promise.all([importing, rotating]).then(() => done = true, () => {});
+			let closing = storage.close();
+			for (let i = 0; i < 20; i++) {
+				input.write(JSON.stringify({key: 'item' + i, value: i}) + '\n');
+				await new Promise(resolve => setImmediate(resolve));
+			}
+			input.end();
+			await closing;
+			assert.ok(done, 'close() should have waited for importFrom() and rotateKey()');
+			assert.deepEqual(await importing, {imported: 20, skipped: 0, invalid: 0});
+
+			let reopened = nodePersist.create({dir: dir, encryption: {key: 'key1'}});
+			await reopened.init();
+			assert.equal(await reopened.length(), 20);
+			assert.equal(await (await reopened.namespace('sessions')).getItem('session'), 1);
+		});
+
+		it('should forget a namespace once closed', async function() {
+			let storage = nodePersist.create({dir: randDir(), expiredInterval: false});
+			await storage.init();
+			let sessions = await storage.namespace('sessions');
+			let carts = await storage.namespace('carts');
+			await carts.setItem('cart', 1, {ttl: 1});
+			await sessions.close();
+			await new Promise(resolve => setTimeout(resolve, 10));
+			await storage.removeExpiredItems();
+			assert.equal(await carts.length(), 0);
+
+			let reopened = await storage.namespace('sessions');
+			assert.notStrictEqual(reopened, sessions);
+			await reopened.setItem('session', 1);
+			assert.equal(await reopened.getItem('session'), 1);
+		});
+
+		it('should reject the calls to the default instance before init()', async function() {
+			// a fresh copy of the module, the other tests might have initialized the default instance
+			let id = require.resolve('../src/node-persist');
+			let cached = require.cache[id];
+			delete require.cache[id];
+			try {
+				await rejects(require('../src/node-persist').getItem('item1'), 'NODE_PERSIST_NOT_INITIALIZED');
+			} finally {
+				require.cache[id] = cached;
+			}
+		});
+	});
+
+	describe('integrity', function() {
+		const md5 = key => crypto.createHash('md5').update(key).digest('hex');
+
+		it('should verify() every file and repair() the ones that cannot be used', async function() {
+			let dir = randDir();
+			let storage = nodePersist.create({dir: dir, index: true, cache: true});
+			await storage.init();
+			for (let key of ['a', 'b', 'c', 'd']) {
+				await storage.setItem(key, {name: key});
+			}
+			assert.deepEqual(await storage.verify(), {files: 4, problems: []});
+
+			fs.writeFileSync(storage.getDatumPath('b'), 'nothing that makes sense');
+			let datum = JSON.parse(fs.readFileSync(storage.getDatumPath('c'), 'utf8'));
+			datum.value.name = 'altered';
+			fs.writeFileSync(storage.getDatumPath('c'), JSON.stringify(datum));
+			fs.writeFileSync(storage.getDatumPath('d'), Buffer.concat([Buffer.from('\0NPG'), crypto.randomBytes(20)]));
+			fs.copyFileSync(storage.getDatumPath('a'), path.join(dir, md5('zzz')));
+			fs.writeFileSync(path.join(dir, 'foo.bar'), 'not a storage file');
+
+			let result = await storage.verify();
+			assert.equal(result.files, 5);
+			let problems = {};
+			result.problems.forEach(problem => problems[problem.file] = problem);
+			assert.equal(problems[md5('b')].problem, 'unparsable');
+			assert.include(problems[md5('c')], {problem: 'checksum', key: 'c'});
+			assert.equal(problems[md5('d')].problem, 'corrupt');
+			assert.include(problems[md5('zzz')], {problem: 'name', key: 'a'});
+			assert.equal(problems['foo.bar'].problem, 'orphan');
+
+			let removed = [];
+			storage.on('remove', ({key}) => removed.push(key));
+			let quarantineDir = randDir();
+			let repaired = await storage.repair({quarantineDir: quarantineDir});
+			assert.equal(repaired.moved.length, 5);
+			assert.deepEqual(removed.sort(), ['b', 'c', 'd']);
+			assert.equal(fs.readdirSync(quarantineDir).length, 5);
+			assert.deepEqual(await storage.keys(), ['a']);
+			assert.deepEqual(await storage.getItem('a'), {name: 'a'});
+			assert.equal(await storage.getItem('c'), undefined);
+			assert.deepEqual(await storage.verify(), {files: 1, problems: []});
+		});
+
+		it('should verify() a sharded storage and default to a .quarantine directory', async function() {
+			let dir = randDir();
+			let storage = nodePersist.create({dir: dir, shardDepth: 1});
+			await storage.init();
+			await storage.setItem('a', 1);
+			fs.writeFileSync(path.join(dir, md5('b')), 'misplaced');
+			let result = await storage.repair();
+			assert.deepEqual(result.problems.map(problem => problem.problem), ['orphan']);
+			assert.equal(fs.readdirSync(path.join(dir, '.quarantine')).length, 1);
+			assert.equal(await storage.getItem('a'), 1);
+		});
+	});
+
+	describe('pagination', function() {
+		const pages = async function (storage, options) {
+			let keys = [];
+			let cursor;
+			do {
+				let page = await storage.keys(Object.assign({cursor: cursor}, options));
+				keys.push(page.keys);
+				cursor = page.cursor;
+			} while (cursor);
+			return keys;
+		};
+
+		[false, true].forEach(function (index) {
+			it(`should page through the sorted keys${index ? ' with the index' : ''}`, async function() {
+				let storage = nodePersist.create({dir: randDir(), index: index});
+				await storage.init();
+				for (let key of ['user:3', 'user:1', 'order:1', 'user:2', 'user:10', 'zebra']) {
+					await storage.setItem(key, key.toUpperCase());
+				}
+				await storage.setItem('user:0', 'expired', {ttl: -1});
+
+				assert.deepEqual(await pages(storage, {prefix: 'user:', limit: 2}), [['user:1', 'user:10'], ['user:2', 'user:3']]);
+				assert.deepEqual(await pages(storage, {prefix: 'user:', limit: 3, reverse: true}), [['user:3', 'user:2', 'user:10'], ['user:1']]);
+				assert.deepEqual(await pages(storage, {start: 'order', end: 'user:2'}), [['order:1', 'user:1', 'user:10']]);
+				assert.deepEqual(await pages(storage, {start: 'user:10', limit: 10, reverse: true}), [['zebra', 'user:3', 'user:2', 'user:10']]);
+
+				let page = await storage.entries({limit: 2});
+				assert.deepEqual(page.entries, [{key: 'order:1', value: 'ORDER:1', ttl: undefined}, {key: 'user:1', value: 'USER:1', ttl: undefined}]);
+				// a key added before the cursor doesn't shift the next page
+				await storage.setItem('a', 1);
+				page = await storage.entries({limit: 2, cursor: page.cursor});
+				assert.deepEqual(page.entries.map(entry => entry.key), ['user:10', 'user:2']);
+
+				// keys() without options is unchanged
+				let keys = await storage.keys();
+				assert.ok(Array.isArray(keys) && keys.indexOf('a') !== -1 && keys.indexOf('zebra') !== -1);
+			});
+		});
+
+		it('should reject an invalid limit', async function() {
+			let storage = nodePersist.create({dir: randDir()});
+			await storage.init();
+			try {
+				await storage.entries({limit: 0});
+				assert.fail('should have rejected');
+			} catch (e) {
+				assert.ok(/^\[node-persist]\[entries] limit must be a positive integer/.test(e.message));
+			}
+		});
+	});
+
+	describe('sharding', function() {
+		const md5 = key => crypto.createHash('md5').update(key).digest('hex');
+
+		it('should put the files in shard directories', async function() {
+			let dir = randDir();
+			let storage = nodePersist.create({dir: dir, shardDepth: 2, index: true});
+			await storage.init();
+			let hash = md5('item1');
+			assert.equal(storage.getDatumPath('item1'), path.join(dir, hash.slice(0, 2), hash.slice(2, 4), hash));
+			await storage.setItem('item1', 1);
+			await storage.setItem('item2', 2, {ttl: 60000});
+			assert.ok(fs.existsSync(storage.getDatumPath('item1')));
+			assert.deepEqual((await storage.keys()).sort(), ['item1', 'item2']);
+			assert.deepEqual((await storage.data()).map(datum => datum.key).sort(), ['item1', 'item2']);
+			let iterated = [];
+			for await (let datum of storage.iterate()) {
+				iterated.push(datum.key);
+			}
+			assert.deepEqual(iterated.sort(), ['item1', 'item2']);
+			// no temp file left in the shard directories, nor in dir
+			assert.deepEqual(fs.readdirSync(path.dirname(storage.getDatumPath('item1'))), [hash]);
+			assert.ok(fs.readdirSync(dir).every(name => !/\.tmp$/.test(name)));
+
+			let reopened = nodePersist.create({dir: dir, shardDepth: 2, index: true});
+			await reopened.init();
+			assert.equal(await reopened.getItem('item2'), 2);
+			await reopened.clear();
+			assert.deepEqual(await reopened.keys(), []);
+		});
+
+		it('should move the files of a flat dir once, and back', async function() {
+			let dir = randDir();
+			let flat = nodePersist.create({dir: dir});
+			await flat.init();
+			await flat.setItem('item1', 1);
+			await flat.setItem('item2', {a: 2});
+			let namespace = await flat.namespace('ab');
+			await namespace.setItem('item3', 3);
+
+			let sharded = nodePersist.create({dir: dir, shardDepth: 1});
+			await sharded.init();
+			assert.ok(fs.existsSync(sharded.getDatumPath('item1')));
+			assert.ok(!fs.existsSync(path.join(dir, md5('item1'))));
+			assert.deepEqual(await sharded.getItem('item2'), {a: 2});
+			assert.equal(JSON.parse(fs.readFileSync(path.join(dir, '.node-persist-manifest.json'), 'utf8')).shardDepth, 1);
+			// the namespace named like a shard directory is left alone
+			assert.equal(await (await flat.namespace('ab')).getItem('item3'), 3);
+
+			let deeper = nodePersist.create({dir: dir, shardDepth: 3});
+			await deeper.init();
+			assert.deepEqual((await deeper.keys()).sort(), ['item1', 'item2']);
+
+			let back = nodePersist.create({dir: dir});
+			await back.init();
+			assert.ok(fs.existsSync(path.join(dir, md5('item1'))));
+			assert.deepEqual((await back.keys()).sort(), ['item1', 'item2']);
+			// the emptied shard directories are removed, the namespace is still there
+			assert.deepEqual(fs.readdirSync(dir).filter(name => fs.statSync(path.join(dir, name)).isDirectory()), ['ab']);
+		});
+
+		it('should carry on with an interrupted relayout', async function() {
+			let adapter = nodePersist.MemoryAdapter();
+			let storage = nodePersist.create({dir: '/storage', adapter: adapter});
+			await storage.init();
+			await storage.setItem('item1', 1);
+			await storage.setItem('item2', 2);
+			let sharded = nodePersist.create({dir: '/storage', adapter: adapter, shardDepth: 2});
+			// the first file got moved, then the process died
+			await sharded._writeManifest('/storage', 2, [], {relayout: true});
+			await sharded._moveFile(storage.getDatumPath('item1'), sharded.getDatumPath('item1'));
+			await sharded.init();
+			assert.deepEqual((await sharded.keys()).sort(), ['item1', 'item2']);
+			assert.ok(adapter.files.has(sharded.getDatumPath('item2')));
+			assert.notOk(JSON.parse(adapter.files.get('/storage/.node-persist-manifest.json').data.toString()).relayout);
+		});
+
+		it('should reject an invalid shardDepth, a namespace named like a shard directory and watching', async function() {
+			assert.throws(() => nodePersist.create({shardDepth: 5}), /^\[node-persist]\[setOptions] shardDepth must be an integer from 0 to 4/);
+			let storage = nodePersist.create({dir: randDir(), shardDepth: 1});
+			await storage.init();
+			try {
+				await storage.namespace('0f');
+				assert.fail('should have rejected');
+			} catch (e) {
+				assert.ok(/0f is not a valid namespace name/.test(e.message));
+			}
+			assert.throws(() => storage.startWatching(), /can't be watched/);
+		});
+	});
+
+	describe('structured serializer', function() {
+		it('should read the values back with the types they were written with', async function() {
+			let dir = randDir();
+			let storage = nodePersist.create({dir: dir, serializer: 'structured'});
+			await storage.init();
+			let value = {
+				date: new Date('2018-04-01T00:00:00.000Z'),
+				buffer: Buffer.from([0, 1, 255]),
+				map: new Map([[1, {a: new Set(['x'])}]]),
+				big: BigInt('12345678901234567890'),
+				regexp: /a+b/gi,
+				numbers: [NaN, -Infinity, -0, undefined, 1],
+				tagged: {$t: 'Date', v: 'not a date'}
+			};
+			await storage.setItem('item1', value);
+			assert.deepEqual(await storage.getItem('item1'), value);
+			assert.ok(Object.is((await storage.getItem('item1')).numbers[2], -0));
+
+			let reopened = nodePersist.create({dir: dir, serializer: 'structured'});
+			await reopened.init();
+			let read = await reopened.getItem('item1');
+			assert.instanceOf(read.date, Date);
+			assert.ok(Buffer.isBuffer(read.buffer));
+			assert.deepEqual(read, value);
+		});
+
+		it('should open a json storage, but a json storage should not open a structured one', async function() {
+			let dir = randDir();
+			let storage = nodePersist.create({dir: dir});
+			await storage.init();
+			await storage.setItem('item1', {a: 1});
+
+			let structured = nodePersist.create({dir: dir, serializer: 'structured'});
+			await structured.init();
+			assert.deepEqual(await structured.getItem('item1'), {a: 1});
+			try {
+				await nodePersist.create({dir: dir}).init();
+				assert.fail('should have rejected');
+			} catch (e) {
+				assert.ok(/was written with the structured serializer, not the json one/.test(e.message));
+			}
+		});
+
+		it('should reject an unknown serializer', function() {
+			assert.throws(() => nodePersist.create({serializer: 'yaml'}), /^\[node-persist]\[setOptions] yaml is not a valid serializer/);
+		});
+	});
+
+	describe('ttl', function() {
+		let storage;
+
+		beforeEach(async function() {
+			storage = nodePersist.create({dir: randDir(), history: true});
+			await storage.init();
+		});
+
+		it('should getTTL(), expire(), persist() and touch() a key', async function() {
+			await storage.setItem('item1', 1, {ttl: 60000});
+			await storage.setItem('item2', 2);
+			let ttl = await storage.getTTL('item1');
+			assert.ok(ttl > 59000 && ttl <= 60000);
+			assert.equal(await storage.getTTL('item2'), Infinity);
+			assert.equal(await storage.getTTL('nope'), undefined);
+
+			assert.equal(await storage.expire('item2', 1000), true);
+			assert.ok(await storage.getTTL('item2') <= 1000);
+			assert.equal(await storage.expire('nope', 1000), false);
+			assert.equal(await storage.persist('item1'), true);
+			assert.equal(await storage.getTTL('item1'), Infinity);
+			assert.equal(await storage.touch('item1', 5000), true);
+			assert.ok(await storage.getTTL('item1') <= 5000);
+
+			// only the ttl changed
+			assert.equal((await storage.getDatum('item1')).rev, 1);
+			assert.deepEqual(await storage.getHistory('item1'), []);
+		});
+
+		it('should reject a ttl that is not a positive number or a future Date', async function() {
+			await storage.setItem('item1', 1, {ttl: 60000});
+			for (let ttl of [0, -1, 'abc', NaN, Infinity, null, new Date(Date.now() - 1000)]) {
+				for (let call of [() => storage.expire('item1', ttl), () => storage.touch('item1', ttl)]) {
+					try {
+						await call();
+						assert.fail('should have rejected');
+					} catch (e) {
+						assert.ok(/^\[node-persist]\[(expire|touch)] ttl must be a positive number/.test(e.message), e.message);
+					}
+				}
+			}
+			let ttl = await storage.getTTL('item1');
+			assert.ok(ttl > 59000 && ttl <= 60000);
+			assert.equal(await storage.expire('item1', new Date(Date.now() + 5000)), true);
+			assert.ok(await storage.getTTL('item1') <= 5000);
+		});
+
+		it('should push a sliding ttl forward on getItem() and on writes', async function() {
+			await storage.setItem('session', {user: 1}, {ttl: 300, sliding: true});
+			await storage.setItem('fixed', 1, {ttl: 300});
+			for (let i = 0; i < 4; i++) {
+				await new Promise(resolve => setTimeout(resolve, 100));
+				assert.deepEqual(await storage.getItem('session'), {user: 1});
+				await storage.getItem('fixed');
+			}
+			assert.equal(await storage.getItem('fixed'), undefined);
+			assert.ok(await storage.getTTL('session') > 250);
+
+			await new Promise(resolve => setTimeout(resolve, 100));
+			await storage.updateItem('session', {user: 2});
+			assert.ok(await storage.getTTL('session') > 250);
+			assert.equal((await storage.getDatum('session')).sliding, 300);
+
+			await new Promise(resolve => setTimeout(resolve, 350));
+			assert.equal(await storage.getItem('session'), undefined);
+		});
+	});
+
+	describe('expiry schedule', function() {
+		it('should only read the expired files between the full runs', async function() {
+			let storage = nodePersist.create({dir: randDir(), expiredInterval: false});
+			await storage.init();
+			for (let i = 0; i < 7; i++) {
+				await storage.setItem('item' + i, i, {ttl: 60000});
+			}
+			// the first run builds the schedule, without the expiredInterval, it's not built on init()
+			await storage.removeExpiredItems();
+			for (let i = 7; i < 10; i++) {
+				await storage.setItem('item' + i, i, {ttl: 1});
+			}
+			await new Promise(resolve => setTimeout(resolve, 10));
+			let reads = 0;
+			let readFile = storage.readFile;
+			storage.readFile = function () {
+				reads++;
+				return readFile.apply(this, arguments);
+			};
+			// what the timer runs between the expiredIntervals
+			await storage._removeExpiredItems();
+			assert.equal(reads, 3);
+			assert.equal(await storage.length(), 7);
+		});
+
+		it('should remove the items other processes wrote in removeExpiredItems()', async function() {
+			let dir = randDir();
+			let storage = nodePersist.create({dir: dir, expiredInterval: false, index: true});
+			await storage.init();
+			await storage.setItem('item1', 1, {ttl: 60000});
+			await storage.removeExpiredItems();
+
+			let other = nodePersist.create({dir: dir, expiredInterval: false});
+			await other.init();
+			await other.setItem('item2', 2, {ttl: 1});
+			await new Promise(resolve => setTimeout(resolve, 10));
+			let reads = 0;
+			let readFile = storage.readFile;
+			storage.readFile = function () {
+				reads++;
+				return readFile.apply(this, arguments);
+			};
+			await storage.removeExpiredItems();
+			assert.deepEqual(fs.readdirSync(dir).filter(file => file !== '.node-persist-manifest.json'), [path.basename(storage.getDatumPath('item1'))]);
+			// the file other wrote, to schedule it, then to remove it, item1's didn't change
+			assert.equal(reads, 2);
+		});
+
+		it('should not read the files that did not change every expiredInterval', async function() {
+			let storage = nodePersist.create({dir: randDir(), expiredInterval: 100, index: true});
+			await storage.init();
+			for (let i = 0; i < 20; i++) {
+				await storage.setItem('item' + i, i);
+			}
+			let reads = 0;
+			let readFile = storage.readFile;
+			storage.readFile = function () {
+				reads++;
+				return readFile.apply(this, arguments);
+			};
+			await new Promise(resolve => setTimeout(resolve, 350));
+			assert.equal(reads, 0);
+			storage.stopExpiredKeysInterval();
+		});
+
+		it('should remove the items of the namespaces right after they expire', async function() {
+			let storage = nodePersist.create({dir: randDir(), expiredInterval: 60000});
+			await storage.init();
+			let sessions = await storage.namespace('sessions');
+			await sessions.setItem('session', 1, {ttl: 50});
+			await new Promise(resolve => setTimeout(resolve, 200));
+			assert.deepEqual(fs.readdirSync(sessions.options.dir).filter(file => file !== '.node-persist-manifest.json'), []);
+			storage.stopExpiredKeysInterval();
+		});
+
+		it('should reconcile the schedule with the files every expiredInterval', async function() {
+			let dir = randDir();
+			let storage = nodePersist.create({dir: dir, expiredInterval: 100});
+			await storage.init();
+
+			let other = nodePersist.create({dir: dir, expiredInterval: false});
+			await other.init();
+			await other.setItem('item1', 1, {ttl: 10});
+			await new Promise(resolve => setTimeout(resolve, 250));
+			assert.deepEqual(fs.readdirSync(dir).filter(file => file !== '.node-persist-manifest.json'), []);
+			storage.stopExpiredKeysInterval();
+		});
+
+		it('should remove the items right after they expire, not on the next expiredInterval', async function() {
+			let storage = nodePersist.create({dir: randDir(), expiredInterval: 60000});
+			await storage.init();
+			let expired = [];
+			storage.on('expire', change => expired.push(change.key));
+			await storage.setItem('item1', 1, {ttl: 100});
+			await storage.setItem('item2', 2, {ttl: 50});
+			await storage.setItem('item3', 3, {ttl: 60000});
+			await storage.expire('item3', 150);
+			await new Promise(resolve => setTimeout(resolve, 300));
+			assert.deepEqual(expired, ['item2', 'item1', 'item3']);
+			assert.equal(await storage.length(), 0);
+			storage.stopExpiredKeysInterval();
+		});
+
+		it('should build the schedule on init()', async function() {
+			let dir = randDir();
+			let storage = nodePersist.create({dir: dir, expiredInterval: false});
+			await storage.init();
+			await storage.setItem('item1', 1, {ttl: 50});
+
+			let other = nodePersist.create({dir: dir, expiredInterval: 60000});
+			await other.init();
+			await new Promise(resolve => setTimeout(resolve, 150));
+			assert.deepEqual(await other.keys(), []);
+			other.stopExpiredKeysInterval();
+		});
+	});
+
+	describe('quotas', function() {
+		const create = async function (options) {
+			let storage = nodePersist.create(Object.assign({dir: randDir(), expiredInterval: false}, options));
+			await storage.init();
+			return storage;
+		};
+
+		it('should evict the least recently used items past maxItems', async function() {
+			let storage = await create({maxItems: 3});
+			let evicted = [];
+			storage.on('evict', change => evicted.push(change));
+			await storage.setItem('a', 1);
+			await storage.setItem('b', 2);
+			await storage.setItem('c', 3);
+			await storage.getItem('a');
+			await storage.setItem('d', 4);
+			assert.deepEqual((await storage.keys()).sort(), ['a', 'c', 'd']);
+			assert.deepEqual(evicted, [{key: 'b', value: undefined, oldValue: 2}]);
+		});
+
+		it('should evict the least frequently used items with lfu, the ones expiring first with ttl-first', async function() {
+			let storage = await create({maxItems: 2, eviction: 'lfu'});
+			await storage.setItem('a', 1);
+			await storage.setItem('b', 2);
+			for (let i = 0; i < 3; i++) {
+				await storage.getItem('a');
+			}
+			await storage.getItem('b');
+			await storage.setItem('c', 3);
+			assert.deepEqual((await storage.keys()).sort(), ['a', 'c']);
+
+			storage = await create({maxItems: 2, eviction: 'ttl-first'});
+			await storage.setItem('a', 1, {ttl: 60000});
+			await storage.setItem('b', 2);
+			await storage.getItem('a');
+			await storage.setItem('c', 3, {ttl: 120000});
+			assert.deepEqual((await storage.keys()).sort(), ['b', 'c']);
+		});
+
+		it('should stay under maxBytes', async function() {
+			let storage = await create({maxBytes: 1500});
+			for (let i = 0; i < 20; i++) {
+				await storage.setItem('item' + i, 'x'.repeat(100));
+			}
+			let bytes = 0;
+			for (let key of await storage.keys()) {
+				bytes += fs.statSync(storage.getDatumPath(key)).size;
+			}
+			assert.isAtMost(bytes, 1500);
+			assert.isAbove(await storage.length(), 5);
+			assert.equal(await storage.getItem('item19'), 'x'.repeat(100));
+		});
+
+		it('should reject an unknown eviction policy', function() {
+			assert.throws(() => nodePersist.create({eviction: 'random'}), /^\[node-persist]\[setOptions] random is not a valid eviction policy/);
+		});
+
+		it('should evict on init() if the quota was lowered, the least recently used first', async function() {
+			let storage = await create({maxItems: 10});
+			await storage.setItem('a', 1);
+			await new Promise(resolve => setTimeout(resolve, 5));
+			await storage.setItem('b', 2);
+			await new Promise(resolve => setTimeout(resolve, 5));
+			await storage.setItem('c', 3);
+
+			let reopened = await create({dir: storage.options.dir, maxItems: 2});
+			assert.deepEqual((await reopened.keys()).sort(), ['b', 'c']);
+		});
+	});
+
+	describe('secondary indexes', function() {
+		let dir, storage;
+
+		beforeEach(async function() {
+			dir = randDir();
+			storage = nodePersist.create({dir: dir});
+			await storage.init();
+			await storage.setItem('batman', {email: 'bruce@wayne.com', age: 40});
+			await storage.setItem('superman', {email: 'clark@dailyplanet.com', age: 35});
+			await storage.setItem('robin', {email: 'dick@wayne.com', age: 17});
+			await storage.setItem('counter', 3);
+		});
+
+		it('should find() the items by the value of an index, or a range of it', async function() {
+			await storage.defineIndex('byEmail', user => user.email);
+			await storage.defineIndex('byAge', user => user.age);
+
+			assert.deepEqual(await storage.find({index: 'byEmail', equals: 'clark@dailyplanet.com'}), [{key: 'superman', value: {email: 'clark@dailyplanet.com', age: 35}, ttl: undefined}]);
+			assert.deepEqual(await storage.find({index: 'byEmail', equals: 'nobody'}), []);
+			assert.deepEqual((await storage.find({index: 'byAge', gte: 35})).map(datum => datum.key), ['superman', 'batman']);
+			assert.deepEqual((await storage.find({index: 'byAge', gt: 17, lt: 40})).map(datum => datum.key), ['superman']);
+			assert.deepEqual((await storage.find({index: 'byAge', limit: 2})).map(datum => datum.key), ['robin', 'superman']);
+			assert.deepEqual((await storage.find({index: 'byEmail', gte: 'c', lt: 'd'})).map(datum => datum.key), ['superman']);
+
+			try {
+				await storage.find({index: 'nope', equals: 1});
+				assert.fail('should have rejected');
+			} catch (e) {
+				assert.ok(/^\[node-persist]\[find] nope is not a defined index/.test(e.message));
+			}
+		});
+
+		it('should keep the indexes up to date', async function() {
+			await storage.defineIndex('byAge', user => user.age);
+			await storage.updateItem('robin', {email: 'dick@wayne.com', age: 41});
+			await storage.removeItem('superman');
+			await storage.batch([{op: 'set', key: 'flash', value: {age: 28}}]);
+			assert.deepEqual((await storage.find({index: 'byAge'})).map(datum => datum.key), ['flash', 'batman', 'robin']);
+			await storage.clear();
+			assert.deepEqual(await storage.find({index: 'byAge'}), []);
+		});
+
+		it('should persist the indexes, and only read the files changed since', async function() {
+			await storage.defineIndex('byAge', user => user.age);
+			await storage.setItem('flash', {age: 28});
+			await storage._flushValueIndex(storage._valueIndexes.get('byAge'));
+			assert.ok(fs.existsSync(path.join(dir, '.node-persist-index.byAge.json')));
+
+			let other = nodePersist.create({dir: dir});
+			await other.init();
+			// written behind the index's back
+			await other.setItem('robin', {age: 18});
+			let reads = 0;
+			let readFile = other.readFile;
+			other.readFile = function (file) {
+				reads++;
+				return readFile.apply(this, arguments);
+			};
+			await other.defineIndex('byAge', user => user.age);
+			// the saved index and the changed file
+			assert.equal(reads, 2);
+			assert.deepEqual((await other.find({index: 'byAge', lt: 30})).map(datum => datum.key), ['robin', 'flash']);
+		});
+	});
+
+	describe('export and import', function() {
+		let storage;
+
+		beforeEach(async function() {
+			storage = nodePersist.create({dir: randDir()});
+			await storage.init();
+			await storage.setItem('item1', {a: 1});
+			await storage.setItem('item2', 'é', {ttl: 60000});
+			await storage.setItem('expired', 3, {ttl: 1});
+			await new Promise(resolve => setTimeout(resolve, 10));
+		});
+
+		it('should exportTo() a file, one record per line, without the expired items', async function() {
+			let file = path.join(TEST_BASE_DIR, rand('snapshot') + '.ndjson');
+			assert.deepEqual(await storage.exportTo(file), {count: 2});
+			let records = fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+			assert.deepEqual(records.map(record => record.key).sort(), ['item1', 'item2']);
+		});
+
+		it('should not leave a truncated snapshot behind if a file cannot be read', async function() {
+			fs.writeFileSync(path.join(storage.options.dir, crypto.createHash('md5').update('bad').digest('hex')), 'nothing that makes sense');
+			let file = path.join(TEST_BASE_DIR, rand('snapshot') + '.ndjson.gz');
+			try {
+				await storage.exportTo(file);
+				assert.fail('should have rejected');
+			} catch (e) {
+				assert.ok(/does not look like a valid storage file/.test(e.message), e.message);
+			}
+			assert.notOk(fs.existsSync(file));
+		});
+
+		it('should importFrom() a gzipped snapshot, merging or replacing', async function() {
+			let file = path.join(TEST_BASE_DIR, rand('snapshot') + '.ndjson.gz');
+			await storage.exportTo(file);
+			assert.equal(fs.readFileSync(file)[0], 0x1f);
+
+			let other = nodePersist.create({dir: randDir()});
+			await other.init();
+			await other.setItem('item3', 3);
+			assert.deepEqual(await other.importFrom(file), {imported: 2, skipped: 0, invalid: 0});
+			assert.deepEqual((await other.keys()).sort(), ['item1', 'item2', 'item3']);
+			assert.equal(await other.getItem('item2'), 'é');
+			assert.approximately((await other.getDatum('item2')).ttl, (await storage.getDatum('item2')).ttl, 1);
+			assert.equal((await other.getDatum('item1')).ttl, undefined);
+
+			await other.importFrom(fs.createReadStream(file), {mode: 'replace', gzip: true});
+			assert.deepEqual((await other.keys()).sort(), ['item1', 'item2']);
+		});
+
+		it('should skip expired records and reject or forgive invalid lines', async function() {
+			let file = path.join(TEST_BASE_DIR, rand('snapshot') + '.ndjson');
+			fs.writeFileSync(file, [
+				JSON.stringify({key: 'item1', value: 1}),
+				JSON.stringify({key: 'old', value: 2, ttl: Date.now() - 1000}),
+				'{"key": "broken',
+				JSON.stringify({key: 'item3', value: 3}),
+			].join('\n'));
+
+			let other = nodePersist.create({dir: randDir()});
+			await other.init();
+			try {
+				await other.importFrom(file);
+				assert.fail('should have rejected');
+			} catch (e) {
+				assert.ok(/^\[node-persist]\[importFrom] line 3 is not a valid record/.test(e.message));
+			}
+			assert.deepEqual(await other.importFrom(file, {forgiveParseErrors: true}), {imported: 2, skipped: 1, invalid: 1});
+			assert.deepEqual((await other.keys()).sort(), ['item1', 'item3']);
+		});
+	});
+
+	describe('manifest and migrations', function() {
+		const manifestFile = dir => path.join(dir, '.node-persist-manifest.json');
+
+		it('should write a manifest on init() and refuse a dir written by a newer version', async function() {
+			let dir = randDir();
+			let storage = nodePersist.create({dir: dir});
+			await storage.init();
+			let manifest = JSON.parse(fs.readFileSync(manifestFile(dir), 'utf8'));
+			assert.include(manifest, {version: pkg.version, layout: 2, keyHash: 'md5', serializer: 'json'});
+
+			manifest.layout = 3;
+			fs.writeFileSync(manifestFile(dir), JSON.stringify(manifest));
+			try {
+				await nodePersist.create({dir: dir}).init();
+				assert.fail('should have rejected');
+			} catch (e) {
+				assert.ok(/^\[node-persist]\[init] .* was written by a newer node-persist/.test(e.message));
+			}
+		});
+
+		it('should refuse a 1.x dir on init(), and migrate() it', async function() {
+			let dir = randDir();
+			let ttlDir = randDir();
+			const legacyName = key => Buffer.from(key).toString('base64').replace(/\//g, '-');
+			fs.mkdirSync(dir, {recursive: true});
+			fs.mkdirSync(ttlDir, {recursive: true});
+			fs.writeFileSync(path.join(dir, legacyName('item1')), JSON.stringify({a: 1}));
+			fs.writeFileSync(path.join(dir, legacyName('item2?>')), JSON.stringify('b'));
+			fs.writeFileSync(path.join(ttlDir, legacyName('item2?>')), JSON.stringify(Date.now() + 60000));
+			fs.writeFileSync(path.join(dir, legacyName('expired')), JSON.stringify(3));
+			fs.writeFileSync(path.join(ttlDir, legacyName('expired')), JSON.stringify(Date.now() - 1000));
+
+			let storage = nodePersist.create({dir: dir});
+			try {
+				await storage.init();
+				assert.fail('should have rejected');
+			} catch (e) {
+				assert.ok(/^\[node-persist]\[init] .* has the layout of an older node-persist/.test(e.message));
+			}
+
+			assert.deepEqual(await storage.migrate([], {ttlDir: ttlDir}), {from: 1, to: 2, applied: []});
+			assert.deepEqual((await storage.keys()).sort(), ['item1', 'item2?>']);
+			assert.deepEqual(await storage.getItem('item1'), {a: 1});
+			assert.ok((await storage.getDatum('item2?>')).ttl > Date.now());
+			assert.deepEqual(fs.readdirSync(ttlDir), []);
+			await nodePersist.create({dir: dir}).init();
+		});
+
+		it('should not take any file named like base64 for a 1.x dir', async function() {
+			let dir = randDir();
+			fs.mkdirSync(dir, {recursive: true});
+			fs.writeFileSync(path.join(dir, 'test'), 'nothing that makes sense');
+			let storage = nodePersist.create({dir: dir});
+			await storage.init();
+			await storage.setItem('item1', 1);
+
+			// a 1.x file is valid JSON, and can't be next to md5 named files
+			let other = randDir();
+			fs.mkdirSync(other, {recursive: true});
+			fs.writeFileSync(path.join(other, 'data'), '1');
+			await nodePersist.create({dir: dir}).init();
+			try {
+				await nodePersist.create({dir: other}).init();
+				assert.fail('should have rejected');
+			} catch (e) {
+				assert.ok(/has the layout of an older node-persist/.test(e.message));
+			}
+		});
+
+		it('should run each value migration once', async function() {
+			let storage = nodePersist.create({dir: randDir()});
+			await storage.init();
+			await storage.setItem('user1', {name: 'Bruce'}, {ttl: 60000});
+			await storage.setItem('user2', {name: 'Clark'});
+			let ttl = (await storage.getDatum('user1')).ttl;
+
+			let calls = 0;
+			let migrations = [
+				{name: 'add-role', migrate: value => (calls++, Object.assign({role: 'user'}, value))},
+				{name: 'remove-clark', migrate: async (value, key) => key === 'user2' ? undefined : value}
+			];
+			assert.deepEqual((await storage.migrate(migrations)).applied, ['add-role', 'remove-clark']);
+			assert.deepEqual(await storage.migrate(migrations), {from: 2, to: 2, applied: []});
+			assert.equal(calls, 2);
+			assert.deepEqual(await storage.keys(), ['user1']);
+			assert.deepEqual(await storage.getItem('user1'), {role: 'user', name: 'Bruce'});
+			assert.equal((await storage.getDatum('user1')).ttl, ttl);
+		});
+	});
+
+	describe('cli', function() {
+		let dir, io;
+
+		const run = async function (...argv) {
+			io = {stdout: output(), stderr: output(), env: {}};
+			return cli.run(['--dir', dir].concat(argv), io);
+		};
+
+		const output = function () {
+			let stream = new PassThrough();
+			stream.text = '';
+			stream.on('data', chunk => stream.text += chunk);
+			return stream;
+		};
+
+		beforeEach(function() {
+			dir = randDir();
+		});
+
+		it('should set, get, list and remove keys', async function() {
+			assert.equal(await run('set', 'user:1', '{"name": "Bruce"}'), 0);
+			assert.equal(await run('set', 'count', '3'), 0);
+			assert.equal(await run('set', 'old', 'x', '--ttl', '1'), 0);
+			await new Promise(resolve => setTimeout(resolve, 10));
+
+			assert.equal(await run('get', 'user:1'), 0);
+			assert.deepEqual(JSON.parse(io.stdout.text), {name: 'Bruce'});
+			await run('ls');
+			assert.deepEqual(io.stdout.text.trim().split('\n').sort(), ['count', 'user:1']);
+			await run('ls', '--prefix=user');
+			assert.equal(io.stdout.text, 'user:1\n');
+
+			assert.equal(await run('rm', 'count'), 0);
+			assert.equal(await run('get', 'count'), 1);
+			assert.ok(/count is not set/.test(io.stderr.text));
+
+			assert.equal(await run('stats'), 0);
+			assert.include(JSON.parse(io.stdout.text), {items: 1, expired: 1});
+			await run('prune');
+			assert.equal(io.stdout.text, 'removed 1 expired item(s)\n');
+		});
+
+		it('should dump and clear a namespace', async function() {
+			await run('--namespace', 'sessions', 'set', 'a', 'true');
+			await run('set', 'b', '1');
+			await run('--namespace', 'sessions', 'dump');
+			assert.deepEqual(JSON.parse(io.stdout.text), {key: 'a', value: true});
+			await run('--namespace', 'sessions', 'clear');
+			await run('--namespace', 'sessions', 'ls');
+			assert.equal(io.stdout.text, '');
+			await run('ls');
+			assert.equal(io.stdout.text, 'b\n');
+		});
+
+		it('should get with the serializer of a structured storage', async function() {
+			let storage = nodePersist.create({dir: dir, serializer: 'structured'});
+			await storage.init();
+			let value = {users: new Map([['bruce', {since: new Date(0)}]]), count: 10n};
+			await storage.setItem('a', value);
+			await storage.close();
+			assert.equal(await run('get', 'a'), 0);
+			assert.equal(io.stdout.text, storage.stringify(value) + '\n');
+			assert.deepEqual(storage.parse(io.stdout.text), value);
+		});
+
+		it('should verify and repair', async function() {
+			await run('set', 'a', '1');
+			assert.equal(await run('verify'), 0);
+			fs.writeFileSync(path.join(dir, 'foo.bar'), 'not a storage file');
+			assert.equal(await run('verify'), 1);
+			assert.ok(/^orphan\tfoo\.bar\t/.test(io.stdout.text));
+			let quarantineDir = randDir();
+			assert.equal(await run('repair', '--quarantine', quarantineDir), 0);
+			assert.ok(/moved 1 file\(s\)/.test(io.stdout.text));
+			assert.equal(await run('verify'), 0);
+		});
+
+		it('should exit with 2 on an unknown command or missing arguments', async function() {
+			assert.equal(await run('nope'), 2);
+			assert.equal(await run('get'), 2);
+			for (let ttl of ['abc', '0', '-1', '1.5']) {
+				assert.equal(await run('set', 'a', '1', '--ttl', ttl), 2);
+				assert.ok(/--ttl must be a positive integer/.test(io.stderr.text));
+			}
+			assert.equal(await run('ls'), 0);
+			assert.equal(io.stdout.text, '');
+			assert.equal(await run('--help'), 0);
+			assert.ok(/^Usage/.test(io.stdout.text));
+		});
+	});
+
 	describe('Parsing errors', function() {
 		it('should throw an error because of an invalid file in the storage dir', async function () {
 			this.timeout(5000);